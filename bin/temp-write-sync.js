@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const {
+  tempWriteSync,
+  tempWriteJsonSync,
+  tempWriteCsvSync,
+  tempDirSync,
+  reapStaleSync
+} = require('../index');
+
+const USAGE = `Usage: temp-write-sync <command> [options]
+
+Commands:
+  create    Write stdin to a temp file and print its path
+  mkdir     Create a temp directory and print its path
+  json      Parse stdin as JSON and write it to a temp .json file
+  csv       Parse stdin as a JSON array and write it to a temp .csv file
+  clean     Remove files matching --prefix from --dir older than --older-than
+
+Options:
+  --ext <ext>          File extension for create (e.g. .txt)
+  --prefix <prefix>    Name prefix (required for clean)
+  --dir <dir>          Directory to create in, or to clean (default: os.tmpdir())
+  --delimiter <char>   CSV delimiter (default: ,)
+  --older-than <ms>    Only clean files not modified for this many ms (required for clean)
+  -h, --help           Show this help
+`;
+
+/**
+ * Create an error for a malformed command line, printed with the usage text
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged to show usage
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.showUsage = true;
+  return error;
+}
+
+// Flags that take a value, mapped to option names
+const VALUE_FLAGS = {
+  '--ext': 'ext',
+  '--prefix': 'prefix',
+  '--dir': 'dir',
+  '--delimiter': 'delimiter',
+  '--older-than': 'olderThan'
+};
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, options: Object}} Command and its options
+ */
+function parseArgs(argv) {
+  const options = {};
+  let command;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+
+    if (arg.startsWith('--')) {
+      const [flag, inlineValue] = arg.split(/=(.*)/s);
+      const name = VALUE_FLAGS[flag];
+
+      if (!name) {
+        throw usageError(`Unknown option: ${flag}`);
+      }
+
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw usageError(`Missing value for ${flag}`);
+      }
+
+      options[name] = value;
+      continue;
+    }
+
+    if (command) {
+      throw usageError(`Unexpected argument: ${arg}`);
+    }
+    command = arg;
+  }
+
+  return { command, options };
+}
+
+/**
+ * Build library options from CLI options; created paths must outlive the CLI
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Options for the temp-write-sync creators
+ */
+function createOptions(options) {
+  const result = { cleanup: false };
+
+  if (options.prefix !== undefined) {
+    result.prefix = options.prefix;
+  }
+  if (options.dir !== undefined) {
+    result.dir = options.dir;
+  }
+  if (options.delimiter !== undefined) {
+    result.delimiter = options.delimiter;
+  }
+
+  return result;
+}
+
+/**
+ * Read all of stdin
+ * @returns {Buffer} Data piped into the process
+ */
+function readStdin() {
+  return fs.readFileSync(0);
+}
+
+/**
+ * Parse stdin as JSON
+ * @returns {*} Parsed value
+ */
+function readStdinJson() {
+  const text = readStdin().toString('utf8');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`stdin is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Run a CLI command
+ * @param {string} command - Command name
+ * @param {Object} options - Parsed CLI options
+ * @returns {string[]} Lines to print
+ */
+function run(command, options) {
+  switch (command) {
+    case 'create':
+      return [tempWriteSync(readStdin(), options.ext || '', createOptions(options))];
+
+    case 'mkdir':
+      return [tempDirSync(createOptions(options))];
+
+    case 'json':
+      return [tempWriteJsonSync(readStdinJson(), createOptions(options))];
+
+    case 'csv':
+      return [tempWriteCsvSync(readStdinJson(), createOptions(options))];
+
+    case 'clean': {
+      if (!options.prefix) {
+        throw usageError('clean requires --prefix');
+      }
+
+      if (options.olderThan === undefined) {
+        throw usageError('clean requires --older-than');
+      }
+
+      const olderThan = Number(options.olderThan);
+      if (!Number.isFinite(olderThan) || olderThan < 0) {
+        throw usageError('--older-than must be a non-negative number of milliseconds');
+      }
+
+      // Only the scanned directory; manifests may list paths outside --dir and --prefix
+      const report = reapStaleSync({ dir: options.dir, prefix: options.prefix, olderThan, manifests: false });
+      for (const { path: failedPath, error } of report.failed) {
+        process.stderr.write(`${failedPath}: ${error.message}\n`);
+      }
+      if (report.failed.length > 0) {
+        process.exitCode = 1;
+      }
+      return report.removed;
+    }
+
+    default:
+      throw usageError(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+}
+
+try {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+  } else {
+    for (const line of run(command, options)) {
+      process.stdout.write(line + '\n');
+    }
+  }
+} catch (error) {
+  process.stderr.write(`temp-write-sync: ${error.message}\n`);
+  if (error.showUsage) {
+    process.stderr.write(`\n${USAGE}`);
+  }
+  process.exitCode = 1;
+}
@@ -1,18 +1,186 @@
+import { WriteStream } from 'fs';
+import { Readable } from 'stream';
+
+export type NameGenerator = (info: { prefix: string; extension: string }) => string;
+
+export interface SecureOptions {
+  passes?: number;
+  fill?: 'zeros' | 'random';
+}
+
+export interface CleanupOptions {
+  secure?: boolean | SecureOptions;
+}
+
 export interface TempWriteOptions {
   dir?: string;
   prefix?: string;
   cleanup?: boolean;
   mode?: number;
+  attempts?: number;
+  ttl?: number;
+  tag?: string;
+  nameGenerator?: NameGenerator;
+  secure?: boolean | SecureOptions;
+}
+
+export type CsvColumn = string | { key: string; header?: string };
+
+export interface CsvFormatters {
+  date?: (value: Date) => string;
+  object?: (value: object) => string;
+  null?: (value: null | undefined) => string;
 }
 
 export interface TempCsvOptions extends TempWriteOptions {
   delimiter?: string;
+  columns?: CsvColumn[];
+  quote?: 'always' | 'needed' | 'never';
+  lineEnding?: string;
+  bom?: boolean;
+  header?: boolean;
+  formatters?: CsvFormatters;
+}
+
+export interface TempJsonOptions extends TempWriteOptions {
+  indent?: number | string;
+  replacer?: ((this: any, key: string, value: any) => any) | (string | number)[] | null;
+  sortKeys?: boolean | ((a: string, b: string) => number);
+  circular?: 'throw' | 'replace';
+  bigint?: 'throw' | 'string';
+  trailingNewline?: boolean;
+}
+
+export interface ReadJsonOptions {
+  reviver?: (this: any, key: string, value: any) => any;
+}
+
+export interface TempCopyOptions extends TempWriteOptions {
+  preserveMode?: boolean;
+  filter?: (sourcePath: string, relativePath: string) => boolean;
+  symlinks?: 'preserve' | 'follow';
+}
+
+export interface TempPatternOptions extends TempWriteOptions {
+  ext?: string;
+  vars?: Record<string, string | number>;
 }
 
 export interface TempDirOptions {
   dir?: string;
   prefix?: string;
   cleanup?: boolean;
+  mode?: number;
+  attempts?: number;
+  ttl?: number;
+  tag?: string;
+  nameGenerator?: NameGenerator;
+  secure?: boolean | SecureOptions;
+}
+
+export interface TempFileHandle {
+  readonly path: string;
+  [Symbol.dispose](): void;
+  [Symbol.asyncDispose](): Promise<void>;
+}
+
+export interface AtomicWriteOptions {
+  mode?: number;
+  chown?: boolean;
+}
+
+export interface CleanupReport {
+  removed: string[];
+  missing: string[];
+  failed: Array<{ path: string; error: TempCleanupError }>;
+}
+
+export interface TempLogger {
+  warn?(...args: any[]): void;
+  error?(...args: any[]): void;
+}
+
+export type CleanupHandlerEvent =
+  | 'exit'
+  | 'SIGINT'
+  | 'SIGTERM'
+  | 'uncaughtException'
+  | 'unhandledRejection';
+
+export interface TempSettings {
+  logger?: TempLogger | null;
+  onCreate?: ((filePath: string) => void) | null;
+  onCleanup?: ((filePath: string) => void) | null;
+  onCleanupError?: ((error: TempCleanupError) => void) | null;
+  handlers?: CleanupHandlerEvent[];
+  manifest?: boolean;
+  manifestDir?: string | null;
+  nameGenerator?: NameGenerator | null;
+  privateRoot?: boolean;
+  checkDirs?: boolean;
+}
+
+export interface ReapOptions {
+  dir?: string;
+  prefix?: string;
+  olderThan?: number;
+  manifestDir?: string;
+  manifests?: boolean;
+}
+
+export interface TempContextOptions extends TempCsvOptions {}
+
+export interface TreeFileSpec {
+  content: any;
+  mode?: number;
+}
+
+export interface TreeLinkSpec {
+  symlink: string;
+}
+
+/** Values are file content, TreeFileSpec, TreeLinkSpec, null, a nested spec under 'dir/', or JSON */
+export interface TreeSpec {
+  [relativePath: string]: any;
+}
+
+export interface TempTree {
+  root: string;
+  files: Record<string, string>;
+}
+
+export type TreeIgnore =
+  | string
+  | RegExp
+  | Array<string | RegExp>
+  | ((relativePath: string, name: string) => boolean);
+
+export interface ReadTreeOptions {
+  encoding?: BufferEncoding | null;
+  ignore?: TreeIgnore;
+}
+
+export interface TreeDiff {
+  added: string[];
+  removed: string[];
+  changed: string[];
+  equal: boolean;
+  summary: string;
+}
+
+export interface TempContext {
+  write(content: string | Buffer, extension?: string, options?: TempWriteOptions): string;
+  json(obj: any, options?: TempJsonOptions): string;
+  csv(data: any[][] | Record<string, any>[], options?: TempCsvOptions): string;
+  dir(options?: TempDirOptions): string;
+  tree(spec: TreeSpec, options?: TempDirOptions): TempTree;
+  copy(sourcePath: string, extension?: string, options?: TempCopyOptions): string;
+  pattern(content: string | Buffer, pattern: string, options?: TempPatternOptions): string;
+  cleanup(filePath: string, options?: CleanupOptions): boolean;
+  cleanupAll(): CleanupReport;
+  list(): string[];
+  has(filePath: string): boolean;
+  child(options?: TempContextOptions): TempContext;
 }
 
 declare function tempWriteSync(
@@ -23,36 +191,257 @@ declare function tempWriteSync(
 
 export declare function tempWriteJsonSync(
   obj: any,
-  options?: TempWriteOptions
+  options?: TempJsonOptions
 ): string;
 
+export declare function readTempJsonSync<T = any>(
+  filePath: string,
+  options?: ReadJsonOptions
+): T;
+
 export declare function tempWriteCsvSync(
   data: any[][] | Record<string, any>[],
   options?: TempCsvOptions
 ): string;
 
+export declare function tempWriteNdjsonSync(
+  records: Iterable<any>,
+  options?: TempWriteOptions
+): string;
+
+export declare function tempWriteTsvSync(
+  data: any[][] | Record<string, any>[],
+  options?: Omit<TempCsvOptions, 'delimiter' | 'quote'>
+): string;
+
+export declare function tempWriteEnvSync(
+  obj: Record<string, any>,
+  options?: TempWriteOptions
+): string;
+
+export declare function tempWriteYamlSync(
+  value: any,
+  options?: TempWriteOptions
+): string;
+
+export declare function tempWriteIniSync(
+  obj: Record<string, any>,
+  options?: TempWriteOptions
+): string;
+
+export declare function tempWriteEncryptedSync(
+  content: string | Buffer,
+  extension?: string,
+  options?: TempWriteOptions
+): string;
+
+export declare function readTempEncryptedSync(filePath: string): Buffer;
+export declare function readTempEncryptedSync(
+  filePath: string,
+  options: { encoding: BufferEncoding }
+): string;
+export declare function readTempEncryptedSync(
+  filePath: string,
+  options?: { encoding?: BufferEncoding }
+): Buffer | string;
+
 export declare function tempDirSync(options?: TempDirOptions): string;
 
+export declare function tempTreeSync(spec: TreeSpec, options?: TempDirOptions): TempTree;
+
+export declare function readTreeSync(dirPath: string, options?: ReadTreeOptions): TreeSpec;
+
+export declare function diffTreeSync(
+  dirPath: string,
+  expectedSpec: TreeSpec,
+  options?: Pick<ReadTreeOptions, 'ignore'>
+): TreeDiff;
+
 export declare function tempCopySync(
   sourcePath: string,
   extension?: string,
-  options?: TempWriteOptions
+  options?: TempCopyOptions
 ): string;
 
 export declare function tempWritePatternSync(
   content: string | Buffer,
   pattern: string,
-  options?: TempWriteOptions
+  options?: TempPatternOptions
 ): string;
 
-export declare function cleanupSync(filePath: string): boolean;
+export declare function cleanupSync(filePath: string, options?: CleanupOptions): boolean;
+
+export declare function cleanupAllSync(): CleanupReport;
 
-export declare function cleanupAllSync(): number;
+export interface TempFileExpiry {
+  path: string;
+  expiresAt: Date | null;
+}
 
 export declare function getTempFiles(): string[];
+export declare function getTempFiles(options: { withExpiry: true }): TempFileExpiry[];
+export declare function getTempFiles(options?: { withExpiry?: boolean }): string[] | TempFileExpiry[];
 
 export declare function excludeFromCleanup(filePath: string): void;
 
 export declare function isTempFile(filePath: string): boolean;
 
+export declare function normalizePaths(text: string): string;
+
+export declare function createSeededNameGenerator(seed?: number | string): NameGenerator;
+
+export declare function configure(options?: TempSettings): Required<TempSettings>;
+
+export declare function unregisterCleanup(): void;
+
+export declare function createTempContext(options?: TempContextOptions): TempContext;
+
+export declare function reapStaleSync(options?: ReapOptions): CleanupReport;
+
+export declare function sweepExpiredSync(): CleanupReport;
+
+export interface TempEntry {
+  path: string;
+  kind: 'file' | 'dir';
+  size: number | null;
+  createdAt: Date;
+  expiresAt: Date | null;
+  creator: string | null;
+  options: Record<string, unknown>;
+  tag: string | null;
+}
+
+export interface TempStats {
+  count: number;
+  totalBytes: number;
+}
+
+export declare function getTempEntries(): TempEntry[];
+
+export declare function getTempStats(): TempStats;
+
+export declare function cleanupByTagSync(tag: string): CleanupReport;
+
+export declare function withTempFileSync<T>(
+  content: string | Buffer,
+  extension: string,
+  fn: (filePath: string) => T,
+  options?: TempWriteOptions
+): T;
+
+export declare function withTempDirSync<T>(
+  fn: (dirPath: string) => T,
+  options?: TempDirOptions
+): T;
+
+export declare function tempFile(
+  content: string | Buffer,
+  extension?: string,
+  options?: TempWriteOptions
+): TempFileHandle;
+
+export declare function writeFileAtomicSync(
+  targetPath: string,
+  content: string | Buffer,
+  options?: AtomicWriteOptions
+): string;
+
+export declare function tempWrite(
+  content: string | Buffer,
+  extension?: string,
+  options?: TempWriteOptions
+): Promise<string>;
+
+export declare function tempWriteJson(
+  obj: any,
+  options?: TempJsonOptions
+): Promise<string>;
+
+export declare function tempWriteCsv(
+  data: any[][] | Record<string, any>[],
+  options?: TempCsvOptions
+): Promise<string>;
+
+export declare function tempDir(options?: TempDirOptions): Promise<string>;
+
+export declare function tempCopy(
+  sourcePath: string,
+  extension?: string,
+  options?: TempCopyOptions
+): Promise<string>;
+
+export declare function tempWritePattern(
+  content: string | Buffer,
+  pattern: string,
+  options?: TempPatternOptions
+): Promise<string>;
+
+export declare function cleanup(filePath: string, options?: CleanupOptions): Promise<boolean>;
+
+export declare function cleanupAll(): Promise<CleanupReport>;
+
+export declare function withTempFile<T>(
+  content: string | Buffer,
+  extension: string,
+  fn: (filePath: string) => T | Promise<T>,
+  options?: TempWriteOptions
+): Promise<T>;
+
+export declare function withTempDir<T>(
+  fn: (dirPath: string) => T | Promise<T>,
+  options?: TempDirOptions
+): Promise<T>;
+
+export declare function tempWriteStream(
+  extension?: string,
+  options?: TempWriteOptions
+): WriteStream;
+
+export declare function tempWriteFromStream(
+  source: Readable | AsyncIterable<string | Buffer> | Iterable<string | Buffer>,
+  extension?: string,
+  options?: TempWriteOptions
+): Promise<string>;
+
+export declare function writeFileAtomic(
+  targetPath: string,
+  content: string | Buffer,
+  options?: AtomicWriteOptions
+): Promise<string>;
+
+export interface TempErrorDetails {
+  cause?: unknown;
+  path?: string;
+}
+
+declare abstract class TempError extends Error {
+  readonly code: string;
+  readonly cause?: unknown;
+  readonly path?: string;
+  constructor(message: string, details?: TempErrorDetails);
+}
+
+export declare class TempWriteError extends TempError {
+  readonly code: 'ERR_TEMP_WRITE' | 'ERR_TEMP_COLLISION';
+}
+
+export declare class TempValidationError extends TempError {
+  readonly code: 'ERR_TEMP_VALIDATION';
+}
+
+export declare class TempCleanupError extends TempError {
+  readonly code: 'ERR_TEMP_CLEANUP';
+}
+
+export declare class SourceNotFoundError extends TempError {
+  readonly code: 'ERR_SOURCE_NOT_FOUND';
+}
+
+export declare class TempCollisionError extends TempWriteError {
+  readonly code: 'ERR_TEMP_COLLISION';
+  readonly path: string;
+  readonly attempts: number;
+  constructor(filePath: string, attempts: number);
+}
+
 export default tempWriteSync;
\ No newline at end of file
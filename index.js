@@ -2,11 +2,151 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
+const stream = require('stream');
+const util = require('util');
 
-// Global registry to track temporary files for cleanup
-const tempFiles = new Set();
+const pipeline = util.promisify(stream.pipeline);
+
+// Root registry to track temporary files for cleanup; contexts hang off it
+const rootRegistry = createRegistry();
 let cleanupRegistered = false;
 
+// Hidden option key that routes a creator's path into a context's registry
+const registryKey = Symbol('registry');
+
+// Hidden option key naming the public function that created a path
+const creatorKey = Symbol('creator');
+
+// Private per-process directory used as the default dir when settings.privateRoot is on
+let privateRoot = null;
+
+// Earliest pending ttl expiry and the timer that sweeps it
+let nextExpiry = null;
+let sweepTimer = null;
+
+// Last value handed out by the {counter} pattern placeholder
+let patternCounter = 0;
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Default cell formatting for values that have no obvious string form
+const CSV_FORMATTERS = {
+  date: date => date.toISOString(),
+  object: value => JSON.stringify(value),
+  null: () => ''
+};
+
+// Size of the buffer used to overwrite files during secure cleanup
+const SHRED_CHUNK_SIZE = 64 * 1024;
+
+// Links an atomic write follows by hand before giving up, matching Linux's limit
+const MAX_SYMLINK_DEPTH = 40;
+
+// Layout of files written by tempWriteEncryptedSync: IV, GCM auth tag, ciphertext
+const ENCRYPTION_IV_LENGTH = 12;
+const ENCRYPTION_TAG_LENGTH = 16;
+
+// Number of names tried before giving up on an exclusive create
+const DEFAULT_ATTEMPTS = 10;
+
+// Process events that can trigger cleanup
+const HANDLER_EVENTS = ['exit', 'SIGINT', 'SIGTERM', 'uncaughtException', 'unhandledRejection'];
+
+// Logger, lifecycle hooks and process handlers set through configure()
+const settings = {
+  logger: console,
+  onCreate: null,
+  onCleanup: null,
+  onCleanupError: null,
+  handlers: HANDLER_EVENTS.slice(),
+  manifest: false,
+  manifestDir: null,
+  nameGenerator: null,
+  privateRoot: false,
+  checkDirs: true
+};
+
+// Listeners currently attached to process, keyed by event
+const installedHandlers = new Map();
+
+/**
+ * Base class for errors raised by temp-write-sync
+ */
+class TempError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.code - Stable error code
+   * @param {Error} details.cause - Underlying error, if any
+   * @param {string} details.path - Path involved, if any
+   */
+  constructor(message, { code, cause, path: filePath } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.cause = cause;
+    this.path = filePath;
+  }
+}
+
+/**
+ * Thrown when a temporary file or directory cannot be created
+ */
+class TempWriteError extends TempError {
+  constructor(message, details = {}) {
+    super(message, { code: 'ERR_TEMP_WRITE', ...details });
+  }
+}
+
+/**
+ * Thrown when arguments are rejected before touching the filesystem
+ */
+class TempValidationError extends TempError {
+  constructor(message, details = {}) {
+    super(message, { code: 'ERR_TEMP_VALIDATION', ...details });
+  }
+}
+
+/**
+ * Describes a temporary path that could not be removed
+ */
+class TempCleanupError extends TempError {
+  constructor(message, details = {}) {
+    super(message, { code: 'ERR_TEMP_CLEANUP', ...details });
+  }
+}
+
+/**
+ * Thrown when the source of a copy does not exist
+ */
+class SourceNotFoundError extends TempError {
+  constructor(message, details = {}) {
+    super(message, { code: 'ERR_SOURCE_NOT_FOUND', ...details });
+  }
+}
+
+/**
+ * Thrown when no unused temporary name could be found
+ */
+class TempCollisionError extends TempWriteError {
+  /**
+   * @param {string} filePath - Last path that already existed
+   * @param {number} attempts - Number of names tried
+   */
+  constructor(filePath, attempts) {
+    super(`Could not create a unique temporary path after ${attempts} attempt(s): ${filePath}`, {
+      code: 'ERR_TEMP_COLLISION',
+      path: filePath
+    });
+    this.attempts = attempts;
+  }
+}
+
+// Built-in disposal symbols, with registry fallbacks on older Node versions
+const disposeSymbol = Symbol.dispose || Symbol.for('Symbol.dispose');
+const asyncDisposeSymbol = Symbol.asyncDispose || Symbol.for('Symbol.asyncDispose');
+
 /**
  * Write content to a temporary file synchronously
  * @param {string|Buffer} content - Content to write to the file
@@ -16,70 +156,91 @@ let cleanupRegistered = false;
  * @param {string} options.prefix - Filename prefix (default: 'temp-')
  * @param {boolean} options.cleanup - Enable automatic cleanup (default: true)
  * @param {number} options.mode - File permissions (default: 0o600)
+ * @param {number} options.attempts - Names to try when one already exists (default: 10)
+ * @param {number} options.ttl - Remove the file after this many ms, even if the process keeps running
+ * @param {Function} options.nameGenerator - Returns the unique part of the name (default: configured
+ *   generator, or timestamp and random hex)
  * @returns {string} Path to the created temporary file
  */
 function tempWriteSync(content, extension = '', options = {}) {
+  // Checked before anything is created, so bad values cannot leave a path behind
+  const secure = normalizeSecure(options.secure);
+  assertTtl(options.ttl);
+  assertAttempts(options.attempts);
+
   const {
-    dir = os.tmpdir(),
+    dir = defaultTempDir(),
     prefix = 'temp-',
     cleanup = true,
-    mode = 0o600
+    mode = 0o600,
+    attempts = DEFAULT_ATTEMPTS
   } = options;
 
   // Validate inputs
   if (content === null || content === undefined) {
-    throw new Error('Content cannot be null or undefined');
+    throw new TempValidationError('Content cannot be null or undefined');
   }
 
   if (typeof extension !== 'string') {
-    throw new Error('Extension must be a string');
+    throw new TempValidationError('Extension must be a string');
   }
 
-  // Ensure extension starts with dot if provided
-  if (extension && !extension.startsWith('.')) {
-    extension = '.' + extension;
-  }
-
-  // Generate unique filename
-  const randomId = crypto.randomBytes(6).toString('hex');
-  const timestamp = Date.now().toString(36);
-  const filename = `${prefix}${timestamp}-${randomId}${extension}`;
-  const filePath = path.join(dir, filename);
+  extension = normalizeExtension(extension);
 
   try {
-    // Ensure temp directory exists
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+    // Ensure temp directory exists and is safe to use
+    prepareDirSync(dir);
 
-    // Write content to file
-    fs.writeFileSync(filePath, content, { mode });
+    // Write content to a file that must not exist yet
+    const filePath = createUniqueSync(
+      () => path.join(dir, generateName(prefix, extension, options.nameGenerator)),
+      candidate => fs.writeFileSync(candidate, content, { mode, flag: 'wx' }),
+      attempts
+    );
 
     // Register for cleanup if enabled
     if (cleanup) {
-      registerCleanup();
-      tempFiles.add(filePath);
+      track(filePath, options, 'file', 'tempWriteSync', secure);
     }
 
     return filePath;
   } catch (error) {
-    throw new Error(`Failed to write temporary file: ${error.message}`);
+    throw toTempError(error, 'Failed to write temporary file', dir);
   }
 }
 
 /**
  * Write JSON content to a temporary file
- * @param {Object} obj - Object to serialize as JSON
- * @param {Object} options - Configuration options
+ * @param {*} obj - Value to serialize as JSON
+ * @param {Object} options - Configuration options, plus the serialization options of toJson
  * @returns {string} Path to the created temporary JSON file
  */
 function tempWriteJsonSync(obj, options = {}) {
-  if (typeof obj !== 'object' || obj === null) {
-    throw new Error('Input must be a valid object');
+  return tempWriteSync(toJson(obj, options), '.json', asCreator(options, 'tempWriteJsonSync'));
+}
+
+/**
+ * Read and parse a JSON file, typically one written by tempWriteJsonSync
+ * @param {string} filePath - Path to the JSON file
+ * @param {Object} options - Read options
+ * @param {Function} options.reviver - Same as the JSON.parse reviver
+ * @returns {*} Parsed value
+ */
+function readTempJsonSync(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new SourceNotFoundError(`JSON file does not exist: ${filePath}`, { path: filePath });
   }
 
-  const jsonContent = JSON.stringify(obj, null, 2);
-  return tempWriteSync(jsonContent, '.json', options);
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  try {
+    return JSON.parse(content, options.reviver);
+  } catch (error) {
+    throw new TempValidationError(`Invalid JSON in ${filePath}: ${error.message}`, {
+      cause: error,
+      path: filePath
+    });
+  }
 }
 
 /**
@@ -87,252 +248,3481 @@ function tempWriteJsonSync(obj, options = {}) {
  * @param {Array<Array>|Array<Object>} data - CSV data as array of arrays or objects
  * @param {Object} options - Configuration options
  * @param {string} options.delimiter - CSV delimiter (default: ',')
+ * @param {Array} options.columns - Columns to write, see toCsv for this and the other format options
  * @returns {string} Path to the created temporary CSV file
  */
 function tempWriteCsvSync(data, options = {}) {
-  const { delimiter = ',' } = options;
+  return tempWriteSync(toCsv(data, options), '.csv', asCreator(options, 'tempWriteCsvSync'));
+}
 
-  if (!Array.isArray(data)) {
-    throw new Error('CSV data must be an array');
-  }
+/**
+ * Write newline-delimited JSON to a temporary file
+ * @param {Array|Iterable} records - Values to write, one JSON document per line
+ * @param {Object} options - Configuration options
+ * @returns {string} Path to the created temporary NDJSON file
+ */
+function tempWriteNdjsonSync(records, options = {}) {
+  return tempWriteSync(toNdjson(records), '.ndjson', asCreator(options, 'tempWriteNdjsonSync'));
+}
 
-  let csvContent = '';
+/**
+ * Write tab-separated values to a temporary file
+ * @param {Array<Array>|Array<Object>} data - Rows as arrays or objects
+ * @param {Object} options - Same format options as tempWriteCsvSync, except delimiter and quote
+ * @returns {string} Path to the created temporary TSV file
+ */
+function tempWriteTsvSync(data, options = {}) {
+  return tempWriteSync(toTsv(data, options), '.tsv', asCreator(options, 'tempWriteTsvSync'));
+}
 
-  if (data.length > 0) {
-    if (Array.isArray(data[0])) {
-      // Array of arrays
-      csvContent = data.map(row => 
-        row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(delimiter)
-      ).join('\n');
-    } else if (typeof data[0] === 'object') {
-      // Array of objects
-      const headers = Object.keys(data[0]);
-      const headerRow = headers.map(h => `"${h}"`).join(delimiter);
-      const dataRows = data.map(row => 
-        headers.map(header => `"${String(row[header] || '').replace(/"/g, '""')}"`).join(delimiter)
-      );
-      csvContent = [headerRow, ...dataRows].join('\n');
-    } else {
-      throw new Error('Invalid CSV data format');
-    }
-  }
+/**
+ * Write a dotenv file to a temporary file
+ * @param {Object} obj - Variables to write
+ * @param {Object} options - Configuration options
+ * @returns {string} Path to the created temporary .env file
+ */
+function tempWriteEnvSync(obj, options = {}) {
+  return tempWriteSync(toEnv(obj), '.env', asCreator(options, 'tempWriteEnvSync'));
+}
 
-  return tempWriteSync(csvContent, '.csv', options);
+/**
+ * Write YAML to a temporary file
+ * @param {*} value - Value to serialize
+ * @param {Object} options - Configuration options
+ * @returns {string} Path to the created temporary YAML file
+ */
+function tempWriteYamlSync(value, options = {}) {
+  return tempWriteSync(toYaml(value), '.yaml', asCreator(options, 'tempWriteYamlSync'));
 }
 
 /**
- * Create a temporary directory
+ * Write an INI file to a temporary file
+ * @param {Object} obj - Top-level keys, with nested objects written as [sections]
  * @param {Object} options - Configuration options
- * @param {string} options.dir - Parent directory for temp dir
- * @param {string} options.prefix - Directory name prefix
- * @param {boolean} options.cleanup - Enable automatic cleanup (default: true)
- * @returns {string} Path to the created temporary directory
+ * @returns {string} Path to the created temporary INI file
  */
-function tempDirSync(options = {}) {
-  const {
-    dir = os.tmpdir(),
-    prefix = 'temp-dir-',
-    cleanup = true
-  } = options;
+function tempWriteIniSync(obj, options = {}) {
+  return tempWriteSync(toIni(obj), '.ini', asCreator(options, 'tempWriteIniSync'));
+}
 
-  const randomId = crypto.randomBytes(6).toString('hex');
-  const timestamp = Date.now().toString(36);
-  const dirName = `${prefix}${timestamp}-${randomId}`;
-  const dirPath = path.join(dir, dirName);
+/**
+ * Write content to a temporary file encrypted with AES-256-GCM
+ *
+ * Each file gets a random key that is kept only in this process's registry
+ * entry. The key is wiped when the file is cleaned up or excluded from cleanup,
+ * after which the file can no longer be decrypted.
+ * @param {string|Buffer} content - Plaintext to encrypt
+ * @param {string} extension - File extension
+ * @param {Object} options - Same options as tempWriteSync; cleanup must stay enabled
+ * @returns {string} Path to the encrypted file (IV, auth tag, then ciphertext)
+ */
+function tempWriteEncryptedSync(content, extension = '', options = {}) {
+  if (content === null || content === undefined) {
+    throw new TempValidationError('Content cannot be null or undefined');
+  }
+  if (typeof content !== 'string' && !Buffer.isBuffer(content)) {
+    throw new TempValidationError('Encrypted content must be a string or Buffer');
+  }
+  if (options.cleanup === false) {
+    throw new TempValidationError('Encrypted temp files must be registered for cleanup to keep their key');
+  }
 
-  try {
-    fs.mkdirSync(dirPath, { recursive: true });
+  const key = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(ENCRYPTION_IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(content)), cipher.final()]);
 
-    if (cleanup) {
-      registerCleanup();
-      tempFiles.add(dirPath);
-    }
+  const filePath = tempWriteSync(
+    Buffer.concat([iv, cipher.getAuthTag(), ciphertext]),
+    extension,
+    asCreator(options, 'tempWriteEncryptedSync')
+  );
 
-    return dirPath;
+  findEntry(rootRegistry, filePath).key = key;
+  return filePath;
+}
+
+/**
+ * Decrypt a file written by tempWriteEncryptedSync in this process
+ * @param {string} filePath - Path to the encrypted file
+ * @param {Object} options - Read options
+ * @param {string} options.encoding - Return a string in this encoding instead of a Buffer
+ * @returns {Buffer|string} Decrypted content
+ */
+function readTempEncryptedSync(filePath, options = {}) {
+  const entry = findEntry(rootRegistry, filePath);
+
+  if (!entry || !entry.key) {
+    throw new TempValidationError(`No encryption key for ${filePath}; it was not written by ` +
+      'tempWriteEncryptedSync in this process or has been cleaned up', { path: filePath });
+  }
+  if (!fs.existsSync(filePath)) {
+    throw new SourceNotFoundError(`Encrypted file does not exist: ${filePath}`, { path: filePath });
+  }
+
+  const payload = fs.readFileSync(filePath);
+  const iv = payload.subarray(0, ENCRYPTION_IV_LENGTH);
+  const tag = payload.subarray(ENCRYPTION_IV_LENGTH, ENCRYPTION_IV_LENGTH + ENCRYPTION_TAG_LENGTH);
+  let plaintext;
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, iv);
+    decipher.setAuthTag(tag);
+    plaintext = Buffer.concat([
+      decipher.update(payload.subarray(ENCRYPTION_IV_LENGTH + ENCRYPTION_TAG_LENGTH)),
+      decipher.final()
+    ]);
   } catch (error) {
-    throw new Error(`Failed to create temporary directory: ${error.message}`);
+    throw new TempValidationError(`Encrypted file is corrupt or was modified: ${filePath}`, {
+      cause: error,
+      path: filePath
+    });
   }
+
+  return options.encoding ? plaintext.toString(options.encoding) : plaintext;
 }
 
 /**
- * Manually clean up a specific temporary file or directory
- * @param {string} filePath - Path to the file or directory to clean up
- * @returns {boolean} True if cleanup was successful
+ * Serialize a value as JSON
+ * @param {*} value - Value to serialize; objects, arrays and top-level primitives are accepted
+ * @param {Object} options - Serialization options
+ * @param {number|string} options.indent - Indentation; 0 writes minified JSON (default: 2)
+ * @param {Function|Array<string>} options.replacer - Same as the JSON.stringify replacer
+ * @param {boolean|Function} options.sortKeys - Sort object keys, optionally with a compare function
+ * @param {string} options.circular - 'throw' or 'replace' with "[Circular]" (default: 'throw')
+ * @param {string} options.bigint - 'throw' or 'string' (default: 'throw')
+ * @param {boolean} options.trailingNewline - End the file with a newline (default: false)
+ * @returns {string} JSON content
  */
-function cleanupSync(filePath) {
-  try {
-    if (fs.existsSync(filePath)) {
-      const stats = fs.statSync(filePath);
-      
-      if (stats.isDirectory()) {
-        fs.rmSync(filePath, { recursive: true, force: true });
-      } else {
-        fs.unlinkSync(filePath);
+function toJson(value, options = {}) {
+  const {
+    indent = 2,
+    replacer = null,
+    sortKeys = false,
+    circular = 'throw',
+    bigint = 'throw',
+    trailingNewline = false
+  } = options;
+
+  if (!['throw', 'replace'].includes(circular)) {
+    throw new TempValidationError(`Invalid circular mode: ${circular}`);
+  }
+  if (!['throw', 'string'].includes(bigint)) {
+    throw new TempValidationError(`Invalid bigint mode: ${bigint}`);
+  }
+
+  const keys = Array.isArray(replacer) ? replacer.map(String) : null;
+  const compare = typeof sortKeys === 'function' ? sortKeys : undefined;
+  // Objects being serialized on the current path, as [original, holder] pairs
+  const ancestors = [];
+
+  const json = JSON.stringify(value, function (key, current) {
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1][1] !== this) {
+      ancestors.pop();
+    }
+
+    if (typeof replacer === 'function') {
+      current = replacer.call(this, key, current);
+    }
+
+    if (typeof current === 'bigint') {
+      if (bigint === 'throw') {
+        throw new TempValidationError(`Cannot serialize BigInt at "${key}" to JSON; use bigint: 'string'`);
       }
+      return current.toString();
     }
-    
-    tempFiles.delete(filePath);
-    return true;
-  } catch (error) {
-    console.warn(`Failed to cleanup ${filePath}: ${error.message}`);
-    return false;
+
+    if (typeof current !== 'object' || current === null) {
+      return current;
+    }
+
+    if (ancestors.some(([original]) => original === current)) {
+      if (circular === 'throw') {
+        throw new TempValidationError(`Cannot serialize circular structure at "${key}" to JSON`);
+      }
+      return '[Circular]';
+    }
+
+    let holder = current;
+    if (!Array.isArray(current) && (keys || sortKeys)) {
+      let names = Object.keys(current);
+      if (keys) {
+        names = names.filter(name => keys.includes(name));
+      }
+      if (sortKeys) {
+        names.sort(compare);
+      }
+      holder = {};
+      names.forEach(name => { holder[name] = current[name]; });
+    }
+
+    ancestors.push([current, holder]);
+    return holder;
+  }, indent);
+
+  if (json === undefined) {
+    throw new TempValidationError('Input must be a JSON-serializable value');
   }
+
+  return trailingNewline ? json + '\n' : json;
 }
 
 /**
- * Clean up all registered temporary files and directories
- * @returns {number} Number of items successfully cleaned up
+ * Serialize rows as CSV content (RFC 4180)
+ * @param {Array<Array>|Array<Object>} data - CSV data as array of arrays or objects
+ * @param {Object} options - Configuration options
+ * @param {string} options.delimiter - CSV delimiter (default: ',')
+ * @param {Array<string|{key: string, header: string}>} options.columns - Object keys to write, in
+ *   order, optionally renamed (default: union of keys across all rows)
+ * @param {string} options.quote - 'always', 'needed' or 'never' (default: 'always')
+ * @param {string} options.lineEnding - Row separator (default: '\n'; RFC 4180 uses '\r\n')
+ * @param {boolean} options.bom - Prefix a UTF-8 byte order mark for Excel (default: false)
+ * @param {boolean} options.header - Write the header row for object rows (default: true)
+ * @param {Object} options.formatters - Overrides for date, object and null cell formatting
+ * @param {Function} escapeCell - Escapes each cell instead of quoting (used for TSV)
+ * @returns {string} CSV content
  */
-function cleanupAllSync() {
-  let cleanedCount = 0;
-  
-  for (const filePath of tempFiles) {
-    if (cleanupSync(filePath)) {
-      cleanedCount++;
+function toCsv(data, options = {}, escapeCell = null) {
+  const {
+    delimiter = ',',
+    columns,
+    quote = 'always',
+    lineEnding = '\n',
+    bom = false,
+    header = true,
+    formatters = {}
+  } = options;
+
+  if (!Array.isArray(data)) {
+    throw new TempValidationError('CSV data must be an array');
+  }
+
+  if (!['always', 'needed', 'never'].includes(quote)) {
+    throw new TempValidationError(`Invalid CSV quote mode: ${quote}`);
+  }
+
+  const format = { ...CSV_FORMATTERS, ...formatters };
+  const needsQuotes = new RegExp(`["\\r\\n]|${escapeRegExp(delimiter)}`);
+
+  const toCell = (value) => {
+    let text;
+    if (value === null || value === undefined) {
+      text = format.null(value);
+    } else if (value instanceof Date) {
+      text = format.date(value);
+    } else if (typeof value === 'object') {
+      text = format.object(value);
+    } else {
+      text = String(value);
+    }
+
+    if (escapeCell) {
+      return escapeCell(text);
+    }
+    if (quote === 'always' || (quote === 'needed' && needsQuotes.test(text))) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  };
+  const toLine = cells => cells.map(toCell).join(delimiter);
+
+  let lines = [];
+
+  if (data.length > 0) {
+    if (data.every(Array.isArray)) {
+      // Array of arrays
+      lines = data.map(toLine);
+    } else if (data.every(row => typeof row === 'object' && row !== null && !Array.isArray(row))) {
+      // Array of objects
+      const selected = normalizeColumns(columns || unionOfKeys(data));
+
+      if (header) {
+        lines.push(toLine(selected.map(column => column.header)));
+      }
+      for (const row of data) {
+        lines.push(toLine(selected.map(column => row[column.key])));
+      }
+    } else {
+      throw new TempValidationError('Invalid CSV data format');
     }
   }
-  
-  tempFiles.clear();
-  return cleanedCount;
+
+  return (bom ? '\uFEFF' : '') + lines.join(lineEnding);
 }
 
 /**
- * Get list of all registered temporary files
- * @returns {string[]} Array of temporary file paths
+ * Collect the keys of all rows, in first-seen order
+ * @param {Array<Object>} rows - Object rows
+ * @returns {string[]} Keys
  */
-function getTempFiles() {
-  return Array.from(tempFiles);
+function unionOfKeys(rows) {
+  const keys = new Set();
+
+  for (const row of rows) {
+    Object.keys(row).forEach(key => keys.add(key));
+  }
+
+  return Array.from(keys);
 }
 
 /**
- * Copy an existing file to a temporary location
- * @param {string} sourcePath - Path to the source file
- * @param {string} extension - Extension for temp file
- * @param {Object} options - Configuration options
- * @returns {string} Path to the temporary copy
+ * Turn a columns option into {key, header} pairs
+ * @param {Array<string|{key: string, header: string}>} columns - Column list
+ * @returns {Array<{key: string, header: string}>} Normalized columns
  */
-function tempCopySync(sourcePath, extension = '', options = {}) {
-  if (!fs.existsSync(sourcePath)) {
-    throw new Error(`Source file does not exist: ${sourcePath}`);
+function normalizeColumns(columns) {
+  if (!Array.isArray(columns)) {
+    throw new TempValidationError('CSV columns must be an array');
   }
 
-  const content = fs.readFileSync(sourcePath);
-  
-  // Use original extension if none provided
-  if (!extension) {
-    extension = path.extname(sourcePath);
-  }
+  return columns.map(column => {
+    if (typeof column === 'string') {
+      return { key: column, header: column };
+    }
+    if (column && typeof column.key === 'string') {
+      return { key: column.key, header: column.header === undefined ? column.key : String(column.header) };
+    }
+    throw new TempValidationError('CSV columns must be strings or {key, header} objects');
+  });
+}
 
-  return tempWriteSync(content, extension, options);
+/**
+ * Escape a string for literal use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 /**
- * Register cleanup handlers for process exit
+ * Serialize values as newline-delimited JSON
+ * @param {Array|Iterable} records - Values to serialize
+ * @returns {string} NDJSON content, one line per value
  */
-function registerCleanup() {
-  if (cleanupRegistered) {
-    return;
+function toNdjson(records) {
+  if (records === null || records === undefined || typeof records[Symbol.iterator] !== 'function' ||
+      typeof records === 'string') {
+    throw new TempValidationError('NDJSON data must be an array or iterable');
   }
 
-  cleanupRegistered = true;
-
-  // Clean up on normal exit
-  process.on('exit', () => {
-    cleanupAllSync();
-  });
+  let content = '';
 
-  // Clean up on SIGINT (Ctrl+C)
-  process.on('SIGINT', () => {
-    cleanupAllSync();
-    process.exit(0);
-  });
+  for (const record of records) {
+    const line = JSON.stringify(record);
+    if (line === undefined) {
+      throw new TempValidationError('NDJSON records must be JSON-serializable');
+    }
+    content += line + '\n';
+  }
 
-  // Clean up on SIGTERM
-  process.on('SIGTERM', () => {
-    cleanupAllSync();
-    process.exit(0);
-  });
+  return content;
+}
 
-  // Clean up on uncaught exceptions
-  process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
-    cleanupAllSync();
-    process.exit(1);
-  });
+/**
+ * Serialize rows as tab-separated values, escaping tabs, line breaks and backslashes
+ * @param {Array<Array>|Array<Object>} data - Rows as arrays or objects
+ * @param {Object} options - Same format options as toCsv, except delimiter and quote
+ * @returns {string} TSV content
+ */
+function toTsv(data, options = {}) {
+  const escapes = { '\t': '\\t', '\n': '\\n', '\r': '\\r', '\\': '\\\\' };
 
-  // Clean up on unhandled promise rejections
-  process.on('unhandledRejection', (reason) => {
-    console.error('Unhandled Rejection:', reason);
-    cleanupAllSync();
-    process.exit(1);
-  });
+  return toCsv(data, { ...options, delimiter: '\t' }, text => text.replace(/[\t\n\r\\]/g, c => escapes[c]));
 }
 
 /**
- * Disable automatic cleanup for specific file
- * @param {string} filePath - Path to exclude from cleanup
+ * Serialize variables as a dotenv file
+ * @param {Object} obj - Variables to serialize
+ * @returns {string} .env content
  */
-function excludeFromCleanup(filePath) {
-  tempFiles.delete(filePath);
+function toEnv(obj) {
+  if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
+    throw new TempValidationError('Input must be a valid object');
+  }
+
+  return Object.keys(obj).map(key => {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+      throw new TempValidationError(`Invalid environment variable name: ${key}`);
+    }
+
+    const value = obj[key];
+    let text;
+    if (value === null || value === undefined) {
+      text = '';
+    } else if (typeof value === 'object') {
+      text = JSON.stringify(value);
+    } else {
+      text = String(value);
+    }
+
+    // Plain values stay bare; anything else is double-quoted with escapes
+    if (/^[\w.\/:@%+,-]*$/.test(text)) {
+      return `${key}=${text}`;
+    }
+
+    const escaped = text
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r');
+    return `${key}="${escaped}"`;
+  }).join('\n') + '\n';
 }
 
 /**
- * Check if a path is managed by temp-write-sync
- * @param {string} filePath - Path to check
- * @returns {boolean} True if path is managed
+ * Serialize a value as block-style YAML
+ * @param {*} value - Value to serialize
+ * @returns {string} YAML content
  */
-function isTempFile(filePath) {
-  return tempFiles.has(filePath);
+function toYaml(value) {
+  return yamlBlock(value, '', new Set()) + '\n';
 }
 
 /**
- * Write content to a temporary file with a specific name pattern
- * @param {string|Buffer} content - Content to write
- * @param {string} pattern - Filename pattern with {random} placeholder
- * @param {Object} options - Configuration options
- * @returns {string} Path to the created file
+ * Render a value as YAML lines at the given indentation
+ * @param {*} value - Value to render
+ * @param {string} indent - Indentation of the block
+ * @param {Set<Object>} seen - Objects on the current path, to reject cycles
+ * @returns {string} YAML block without trailing newline
  */
-function tempWritePatternSync(content, pattern, options = {}) {
-  const { dir = os.tmpdir(), cleanup = true } = options;
-  
-  const randomId = crypto.randomBytes(6).toString('hex');
-  const timestamp = Date.now().toString(36);
-  
-  const filename = pattern
-    .replace('{random}', randomId)
-    .replace('{timestamp}', timestamp)
-    .replace('{time}', timestamp);
-    
-  const filePath = path.join(dir, filename);
+function yamlBlock(value, indent, seen) {
+  if (!isYamlCollection(value)) {
+    return indent + yamlScalar(value);
+  }
 
-  try {
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+  if (seen.has(value)) {
+    throw new TempValidationError('Cannot serialize circular structure to YAML');
+  }
+  seen.add(value);
 
-    fs.writeFileSync(filePath, content);
+  let lines;
+  if (Array.isArray(value)) {
+    lines = value.map(item => {
+      if (isYamlCollection(item)) {
+        // Nested block starts on the dash line
+        const nested = yamlBlock(item, indent + '  ', seen);
+        return `${indent}- ${nested.slice(indent.length + 2)}`;
+      }
+      return `${indent}- ${yamlScalar(item)}`;
+    });
+  } else {
+    lines = Object.keys(value).map(key => {
+      const item = value[key];
+      if (isYamlCollection(item)) {
+        return `${indent}${yamlString(key)}:\n${yamlBlock(item, indent + '  ', seen)}`;
+      }
+      return `${indent}${yamlString(key)}: ${yamlScalar(item)}`;
+    });
+  }
 
-    if (cleanup) {
-      registerCleanup();
-      tempFiles.add(filePath);
-    }
+  seen.delete(value);
+  return lines.join('\n');
+}
 
-    return filePath;
-  } catch (error) {
-    throw new Error(`Failed to write temporary file: ${error.message}`);
+/**
+ * Check whether a value is a non-empty array or plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True if it is rendered as a block
+ */
+function isYamlCollection(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
   }
+
+  return typeof value === 'object' && value !== null && !(value instanceof Date) &&
+    Object.keys(value).length > 0;
+}
+
+/**
+ * Render a scalar (or empty collection) as inline YAML
+ * @param {*} value - Value to render
+ * @returns {string} YAML scalar
+ */
+function yamlScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return '[]';
+  }
+  if (typeof value === 'object') {
+    return '{}';
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : (Number.isNaN(value) ? '.nan' : (value > 0 ? '.inf' : '-.inf'));
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+
+  return yamlString(String(value));
+}
+
+/**
+ * Render a string, quoting it when YAML would read it as something else
+ * @param {string} text - String to render
+ * @returns {string} Plain or double-quoted YAML string
+ */
+function yamlString(text) {
+  const plain = /^[A-Za-z_\/.][\w .\/-]*$/.test(text) &&
+    !/\s$/.test(text) &&
+    !/^(true|false|yes|no|on|off|null|y|n)$/i.test(text) &&
+    // .5, .inf and .nan are numbers, and ... ends the document
+    !/^\.(\d|(inf|nan)$|\.\.)/i.test(text);
+
+  return plain ? text : JSON.stringify(text);
+}
+
+/**
+ * Serialize an object as an INI file
+ * @param {Object} obj - Top-level keys, with nested objects written as [sections]
+ * @returns {string} INI content
+ */
+function toIni(obj) {
+  if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
+    throw new TempValidationError('Input must be a valid object');
+  }
+
+  const blocks = [];
+  iniSection(obj, null, blocks, new Set());
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Render one INI section and queue its nested sections
+ * @param {Object} obj - Section values
+ * @param {string|null} name - Dotted section name, null for the top level
+ * @param {string[]} blocks - Rendered sections
+ * @param {Set<Object>} seen - Objects on the current path, to reject cycles
+ */
+function iniSection(obj, name, blocks, seen) {
+  if (seen.has(obj)) {
+    throw new TempValidationError('Cannot serialize circular structure to INI');
+  }
+  seen.add(obj);
+
+  const lines = name === null ? [] : [`[${name}]`];
+  const nested = [];
+
+  for (const key of Object.keys(obj)) {
+    const value = obj[key];
+
+    if (Array.isArray(value)) {
+      assertIniKey(key, false);
+      value.forEach(item => {
+        if (typeof item === 'object' && item !== null && !(item instanceof Date)) {
+          throw new TempValidationError(`INI arrays can only hold plain values: ${key}`);
+        }
+        lines.push(`${key}[]=${iniValue(item)}`);
+      });
+    } else if (typeof value === 'object' && value !== null && !(value instanceof Date)) {
+      assertIniKey(key, true);
+      nested.push(key);
+    } else {
+      assertIniKey(key, false);
+      lines.push(`${key}=${iniValue(value)}`);
+    }
+  }
+
+  if (lines.length > 0) {
+    blocks.push(lines.join('\n'));
+  }
+
+  for (const key of nested) {
+    iniSection(obj[key], name === null ? key : `${name}.${key}`, blocks, seen);
+  }
+
+  seen.delete(obj);
+}
+
+/**
+ * Reject keys that INI readers would split, end early or read as a section header
+ * @param {string} key - Key or section name part
+ * @param {boolean} section - True for a nested object, whose key is joined with '.'
+ */
+function assertIniKey(key, section) {
+  const valid = /^[^\s=;#"'\[\]]([^=;#"'\[\]\r\n]*[^\s=;#"'\[\]])?$/.test(key) &&
+    !(section && key.includes('.'));
+
+  if (!valid) {
+    throw new TempValidationError(`Invalid INI ${section ? 'section' : 'key'} name: ${JSON.stringify(key)}`);
+  }
+}
+
+/**
+ * Render an INI value, quoting it when it would not read back unchanged
+ * @param {*} value - Value to render
+ * @returns {string} INI value
+ */
+function iniValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[^\s;#="'\r\n\[\]]([^;#"'\r\n]*[^\s;#"'\r\n])?$/.test(text) || text === '') {
+    return text;
+  }
+  return JSON.stringify(text);
+}
+
+/**
+ * Create a temporary directory
+ * @param {Object} options - Configuration options
+ * @param {string} options.dir - Parent directory for temp dir
+ * @param {string} options.prefix - Directory name prefix
+ * @param {boolean} options.cleanup - Enable automatic cleanup (default: true)
+ * @param {number} options.mode - Directory permissions (default: 0o700)
+ * @param {number} options.attempts - Names to try when one already exists (default: 10)
+ * @param {number} options.ttl - Remove the directory after this many ms
+ * @returns {string} Path to the created temporary directory
+ */
+function tempDirSync(options = {}) {
+  const secure = normalizeSecure(options.secure);
+  assertTtl(options.ttl);
+  assertAttempts(options.attempts);
+
+  const {
+    dir = defaultTempDir(),
+    prefix = 'temp-dir-',
+    cleanup = true,
+    mode = 0o700,
+    attempts = DEFAULT_ATTEMPTS
+  } = options;
+
+  try {
+    // Only the parent may be created recursively; the final part must be new
+    prepareDirSync(dir);
+
+    const dirPath = createUniqueSync(
+      () => path.join(dir, generateName(prefix, '', options.nameGenerator)),
+      candidate => fs.mkdirSync(candidate, { mode }),
+      attempts
+    );
+
+    if (cleanup) {
+      track(dirPath, options, 'dir', 'tempDirSync', secure);
+    }
+
+    return dirPath;
+  } catch (error) {
+    throw toTempError(error, 'Failed to create temporary directory', dir);
+  }
+}
+
+/**
+ * Create a temporary directory populated from a declarative spec
+ *
+ * Keys are relative paths using '/' separators. Values are written as follows:
+ * - string or Buffer: file content
+ * - { content, mode } or { symlink }: file with a mode, or a symbolic link
+ * - null, or an object spec under a key ending in '/': directory
+ * - any other object: file content serialized as JSON
+ *
+ * Only the root is registered for cleanup.
+ * @param {Object} spec - Tree spec
+ * @param {Object} options - Same options as tempDirSync
+ * @returns {{root: string, files: Object<string, string>}} Root directory and a map of
+ *   relative path to absolute path for each created file and link
+ */
+function tempTreeSync(spec, options = {}) {
+  const entries = flattenTreeSpec(spec);
+  const root = tempDirSync(asCreator(options, 'tempTreeSync'));
+  const files = {};
+
+  try {
+    // Links last, so targets inside the tree already exist
+    const ordered = entries.filter(entry => entry.kind !== 'symlink')
+      .concat(entries.filter(entry => entry.kind === 'symlink'));
+
+    for (const entry of ordered) {
+      const entryPath = path.join(root, ...entry.path.split('/'));
+
+      if (entry.kind === 'dir') {
+        fs.mkdirSync(entryPath, { recursive: true });
+        continue;
+      }
+
+      fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+
+      if (entry.kind === 'symlink') {
+        fs.symlinkSync(entry.target, entryPath);
+      } else {
+        fs.writeFileSync(entryPath, entry.content, { flag: 'wx' });
+        if (entry.mode !== undefined) {
+          // Set explicitly so the umask does not narrow the requested mode
+          fs.chmodSync(entryPath, entry.mode);
+        }
+      }
+
+      files[entry.path] = entryPath;
+    }
+  } catch (error) {
+    cleanupEntrySync(root, rootRegistry);
+    throw toTempError(error, 'Failed to create temporary tree', root);
+  }
+
+  return { root, files };
+}
+
+/**
+ * Flatten a tree spec into validated entries
+ * @param {Object} spec - Tree spec, as accepted by tempTreeSync
+ * @param {string} base - Relative path of the spec's directory, with a trailing '/'
+ * @param {Array<Object>} entries - Accumulated entries
+ * @returns {Array<{path: string, kind: string, content: (string|Buffer), mode: number, target: string}>}
+ *   Entries in spec order
+ */
+function flattenTreeSpec(spec, base = '', entries = []) {
+  if (typeof spec !== 'object' || spec === null || Array.isArray(spec) || Buffer.isBuffer(spec)) {
+    throw new TempValidationError('Tree spec must be an object');
+  }
+
+  for (const key of Object.keys(spec)) {
+    const isDir = key.endsWith('/');
+    const relative = base + treeSpecPath(isDir ? key.slice(0, -1) : key);
+    const value = spec[key];
+
+    if (entries.some(entry => entry.path === relative)) {
+      throw new TempValidationError(`Duplicate tree path: ${relative}`);
+    }
+
+    if (isDir || value === null) {
+      entries.push({ path: relative, kind: 'dir' });
+      if (isDir && value !== null) {
+        flattenTreeSpec(value, relative + '/', entries);
+      }
+    } else if (isTreeFileSpec(value) && value.symlink !== undefined) {
+      entries.push({ path: relative, kind: 'symlink', target: String(value.symlink) });
+    } else if (isTreeFileSpec(value)) {
+      entries.push({ path: relative, kind: 'file', content: treeContent(value.content), mode: value.mode });
+    } else {
+      entries.push({ path: relative, kind: 'file', content: treeContent(value) });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Validate a relative tree path so it cannot escape the root
+ * @param {string} key - Path from the spec
+ * @returns {string} The same path
+ */
+function treeSpecPath(key) {
+  const segments = key.split('/');
+
+  if (path.isAbsolute(key) || segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+    throw new TempValidationError(`Invalid tree path: ${key}`);
+  }
+
+  return key;
+}
+
+/**
+ * Check whether a spec value describes a file or link rather than JSON content
+ * @param {*} value - Spec value
+ * @returns {boolean} True for { content, mode } and { symlink } objects
+ */
+function isTreeFileSpec(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value) || Buffer.isBuffer(value)) {
+    return false;
+  }
+
+  const keys = Object.keys(value);
+  return (keys.includes('content') || keys.includes('symlink')) &&
+    keys.every(key => ['content', 'mode', 'symlink'].includes(key));
+}
+
+/**
+ * Convert a spec value to file content
+ * @param {*} value - String, Buffer or JSON-serializable value
+ * @returns {string|Buffer} File content
+ */
+function treeContent(value) {
+  if (typeof value === 'string' || Buffer.isBuffer(value)) {
+    return value;
+  }
+
+  return toJson(value);
+}
+
+/**
+ * Read a directory back into a tree spec, the inverse of tempTreeSync
+ *
+ * Subdirectories are nested under keys ending in '/', symbolic links become
+ * { symlink } and files become their contents.
+ * @param {string} dirPath - Directory to read
+ * @param {Object} options - Read options
+ * @param {string|null} options.encoding - File encoding; null reads Buffers (default: 'utf8')
+ * @param {string|RegExp|Function|Array<string|RegExp>} options.ignore - Names or relative paths to
+ *   skip, patterns tested against the relative path, or a predicate (relativePath, name)
+ * @returns {Object} Tree spec with keys in sorted order
+ */
+function readTreeSync(dirPath, options = {}) {
+  const { encoding = 'utf8', ignore = [] } = options;
+
+  if (!fs.existsSync(dirPath)) {
+    throw new SourceNotFoundError(`Directory does not exist: ${dirPath}`, { path: dirPath });
+  }
+  if (!fs.statSync(dirPath).isDirectory()) {
+    throw new TempValidationError(`Not a directory: ${dirPath}`, { path: dirPath });
+  }
+
+  return readTreeLevel(dirPath, '', encoding, treeIgnoreMatcher(ignore));
+}
+
+/**
+ * Recursive part of readTreeSync
+ * @param {string} dirPath - Directory to read
+ * @param {string} base - Relative path of the directory, with a trailing '/'
+ * @param {string|null} encoding - File encoding
+ * @param {Function} isIgnored - Predicate for skipped entries
+ * @returns {Object} Tree spec of the directory
+ */
+function readTreeLevel(dirPath, base, encoding, isIgnored) {
+  const tree = {};
+
+  for (const name of fs.readdirSync(dirPath).sort()) {
+    const relative = base + name;
+    if (isIgnored(relative, name)) {
+      continue;
+    }
+
+    const entryPath = path.join(dirPath, name);
+    const stats = fs.lstatSync(entryPath);
+
+    if (stats.isSymbolicLink()) {
+      tree[name] = { symlink: fs.readlinkSync(entryPath) };
+    } else if (stats.isDirectory()) {
+      tree[name + '/'] = readTreeLevel(entryPath, relative + '/', encoding, isIgnored);
+    } else if (stats.isFile()) {
+      tree[name] = fs.readFileSync(entryPath, encoding);
+    }
+    // Sockets, FIFOs and devices are skipped; reading a FIFO would block
+  }
+
+  return tree;
+}
+
+/**
+ * Build the ignore predicate for readTreeSync
+ * @param {string|RegExp|Function|Array<string|RegExp>} ignore - Ignore option
+ * @returns {Function} Predicate (relativePath, name)
+ */
+function treeIgnoreMatcher(ignore) {
+  if (typeof ignore === 'function') {
+    return ignore;
+  }
+
+  const patterns = [].concat(ignore);
+  return (relative, name) => patterns.some(pattern =>
+    pattern instanceof RegExp ? pattern.test(relative) : pattern === name || pattern === relative
+  );
+}
+
+/**
+ * Compare a directory against an expected tree spec
+ *
+ * Files and links are compared by content and target. Directories are compared
+ * only where the spec lists them explicitly or where they are empty on disk.
+ * @param {string} dirPath - Directory to check
+ * @param {Object} expectedSpec - Expected tree, in the format accepted by tempTreeSync
+ * @param {Object} options - Same ignore option as readTreeSync
+ * @returns {{added: string[], removed: string[], changed: string[], equal: boolean, summary: string}}
+ *   Paths only on disk, paths only in the spec, paths that differ, and one line per difference
+ */
+function diffTreeSync(dirPath, expectedSpec, options = {}) {
+  const expected = treeEntryMap(flattenTreeSpec(expectedSpec));
+  const actual = treeEntryMap(flattenTreeSpec(readTreeSync(dirPath, { ignore: options.ignore, encoding: null })));
+  const result = { added: [], removed: [], changed: [] };
+  const lines = [];
+
+  for (const [relative, entry] of expected) {
+    const found = actual.get(relative);
+    const label = entry.kind === 'dir' ? relative + '/' : relative;
+
+    if (!found) {
+      result.removed.push(label);
+      lines.push(`- ${label}`);
+    } else {
+      const difference = describeTreeDifference(entry, found);
+      if (difference) {
+        result.changed.push(label);
+        lines.push(`~ ${label} (${difference})`);
+      }
+    }
+  }
+
+  for (const [relative, entry] of actual) {
+    if (expected.has(relative)) {
+      continue;
+    }
+
+    // Directories that hold files are implied by those files' paths
+    if (entry.kind === 'dir') {
+      const prefix = relative + '/';
+      const holdsEntries = [...actual.keys()].some(key => key.startsWith(prefix));
+      const impliedBySpec = [...expected.keys()].some(key => key.startsWith(prefix));
+      if (holdsEntries || impliedBySpec) {
+        continue;
+      }
+    }
+
+    const label = entry.kind === 'dir' ? relative + '/' : relative;
+    result.added.push(label);
+    lines.push(`+ ${label}`);
+  }
+
+  result.equal = lines.length === 0;
+  result.summary = lines.join('\n');
+  return result;
+}
+
+/**
+ * Index flattened tree entries by relative path
+ * @param {Array<Object>} entries - Entries from flattenTreeSpec
+ * @returns {Map<string, Object>} Entries by path
+ */
+function treeEntryMap(entries) {
+  return new Map(entries.map(entry => [entry.path, entry]));
+}
+
+/**
+ * Describe how an actual tree entry differs from the expected one
+ * @param {Object} expected - Expected entry
+ * @param {Object} actual - Entry read from disk
+ * @returns {string|null} Description, or null if they match
+ */
+function describeTreeDifference(expected, actual) {
+  if (expected.kind !== actual.kind) {
+    return `expected ${expected.kind}, found ${actual.kind}`;
+  }
+
+  if (expected.kind === 'symlink') {
+    return expected.target === actual.target
+      ? null
+      : `link target ${JSON.stringify(actual.target)}, expected ${JSON.stringify(expected.target)}`;
+  }
+
+  if (expected.kind === 'dir') {
+    return null;
+  }
+
+  const expectedContent = Buffer.from(expected.content);
+  if (expectedContent.equals(actual.content)) {
+    return null;
+  }
+
+  const binary = `binary content differs, ${actual.content.length} bytes, expected ${expectedContent.length}`;
+  if (expectedContent.includes(0) || actual.content.includes(0)) {
+    return binary;
+  }
+
+  const expectedLines = expectedContent.toString('utf8').split('\n');
+  const actualLines = actual.content.toString('utf8').split('\n');
+  const lineCount = Math.max(expectedLines.length, actualLines.length);
+  let line = 0;
+  while (line < lineCount && expectedLines[line] === actualLines[line]) {
+    line++;
+  }
+
+  // Invalid UTF-8 can decode to the same text for different bytes
+  if (line === lineCount) {
+    return binary;
+  }
+
+  const show = text => (text === undefined ? 'end of file' : JSON.stringify(text));
+  return `line ${line + 1}: ${show(actualLines[line])}, expected ${show(expectedLines[line])}`;
+}
+
+/**
+ * Manually clean up a specific temporary file or directory
+ * @param {string} filePath - Path to the file or directory to clean up
+ * @param {Object} options - Cleanup options
+ * @param {boolean|Object} options.secure - Overwrite contents before removal, as true or
+ *   { passes, fill } (default: the secure option the path was created with)
+ * @returns {boolean} True if cleanup was successful
+ */
+function cleanupSync(filePath, options = {}) {
+  return cleanupEntrySync(filePath, rootRegistry, options.secure).status !== 'failed';
+}
+
+/**
+ * Clean up all registered temporary files and directories
+ * @returns {{removed: string[], missing: string[], failed: Array<{path: string, error: TempCleanupError}>}}
+ *   Report of removed paths, paths that were already gone, and failures
+ */
+function cleanupAllSync() {
+  const report = cleanupRegistrySync(rootRegistry, { removed: [], missing: [], failed: [] });
+
+  if (report.failed.length === 0) {
+    removeManifest();
+  }
+  return report;
+}
+
+/**
+ * Clean up every path of a registry and its child registries
+ * @param {Object} registry - Registry to empty
+ * @param {Object} report - Report to add outcomes to
+ * @returns {Object} The report
+ */
+function cleanupRegistrySync(registry, report) {
+  for (const child of Array.from(registry.children)) {
+    cleanupRegistrySync(child, report);
+  }
+
+  for (const filePath of registry.entries.keys()) {
+    addToReport(report, filePath, cleanupEntrySync(filePath, registry));
+  }
+
+  // Entries whose removal failed are dropped too, so their keys go with them
+  registry.entries.forEach(wipeKey);
+  registry.entries.clear();
+  detach(registry);
+  return report;
+}
+
+/**
+ * Remove a path, unregister it and notify hooks
+ * @param {string} filePath - Path to remove
+ * @param {Object} registry - Registry (with children) to unregister the path from
+ * @param {boolean|Object} secure - Overrides the entry's secure setting when given
+ * @returns {{status: string, error?: TempCleanupError}} 'removed', 'missing' or 'failed'
+ */
+function cleanupEntrySync(filePath, registry, secure) {
+  const shred = secureFor(registry, filePath, secure);
+  let status = 'missing';
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const stats = fs.statSync(filePath);
+
+      if (shred) {
+        shredPathSync(filePath, shred);
+      } else if (stats.isDirectory()) {
+        fs.rmSync(filePath, { recursive: true, force: true });
+      } else {
+        fs.unlinkSync(filePath);
+      }
+      status = 'removed';
+    }
+
+    forget(registry, filePath);
+  } catch (error) {
+    return { status: 'failed', error: reportCleanupError(filePath, error) };
+  }
+
+  if (status === 'removed') {
+    notify('onCleanup', filePath);
+  }
+  return { status };
+}
+
+/**
+ * Validate the secure option of a creator or cleanup call
+ * @param {boolean|Object} secure - true, false/undefined, or { passes, fill }
+ * @returns {{passes: number, fill: string}|null} Overwrite settings, or null for a plain unlink
+ */
+function normalizeSecure(secure) {
+  if (secure === undefined || secure === null || secure === false) {
+    return null;
+  }
+
+  if (secure !== true && (typeof secure !== 'object' || Array.isArray(secure))) {
+    throw new TempValidationError('secure must be a boolean or { passes, fill }');
+  }
+
+  const { passes = 1, fill = 'random' } = secure === true ? {} : secure;
+  if (!Number.isInteger(passes) || passes < 1) {
+    throw new TempValidationError(`Invalid secure passes: ${passes}`);
+  }
+  if (!['zeros', 'random'].includes(fill)) {
+    throw new TempValidationError(`Invalid secure fill: ${fill}`);
+  }
+
+  return { passes, fill };
+}
+
+/**
+ * Validate the ttl option of a creator
+ * @param {number} ttl - Milliseconds until the path expires, or undefined for no expiry
+ */
+function assertTtl(ttl) {
+  if (ttl !== undefined && (typeof ttl !== 'number' || !Number.isFinite(ttl) || ttl < 0)) {
+    throw new TempValidationError(`ttl must be a finite number of milliseconds >= 0: ${ttl}`);
+  }
+}
+
+/**
+ * Validate the attempts option of a creator
+ * @param {number} attempts - Names to try, or undefined for the default
+ */
+function assertAttempts(attempts) {
+  if (attempts !== undefined && (!Number.isInteger(attempts) || attempts < 1)) {
+    throw new TempValidationError(`attempts must be a positive integer: ${attempts}`);
+  }
+}
+
+/**
+ * Find the registry entry of a path in a registry or its children
+ * @param {Object} registry - Registry to search
+ * @param {string} filePath - Path to look up
+ * @returns {Object|null} Entry, or null if untracked
+ */
+function findEntry(registry, filePath) {
+  if (registry.entries.has(filePath)) {
+    return registry.entries.get(filePath);
+  }
+
+  for (const child of registry.children) {
+    const entry = findEntry(child, filePath);
+    if (entry) {
+      return entry;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decide how a path is removed: an explicit secure option wins over the registry flag
+ * @param {Object} registry - Registry tracking the path
+ * @param {string} filePath - Path being removed
+ * @param {boolean|Object} secure - secure option of the cleanup call, if any
+ * @returns {{passes: number, fill: string}|null} Overwrite settings, or null for a plain unlink
+ */
+function secureFor(registry, filePath, secure) {
+  if (secure !== undefined) {
+    return normalizeSecure(secure);
+  }
+
+  const entry = findEntry(registry, filePath);
+  return entry ? entry.secure : null;
+}
+
+/**
+ * Overwrite and remove a file, or a directory and everything in it
+ * @param {string} target - Path to shred
+ * @param {{passes: number, fill: string}} secure - Overwrite settings
+ */
+function shredPathSync(target, secure) {
+  const stats = fs.lstatSync(target);
+
+  if (stats.isDirectory()) {
+    for (const name of fs.readdirSync(target)) {
+      shredPathSync(path.join(target, name), secure);
+    }
+    fs.rmdirSync(target);
+    return;
+  }
+
+  // Links and special files are removed without touching what they point to
+  if (stats.isFile()) {
+    if (!(stats.mode & 0o200)) {
+      fs.chmodSync(target, (stats.mode & 0o777) | 0o200);
+    }
+
+    const fd = fs.openSync(target, 'r+');
+    try {
+      const chunk = Buffer.alloc(Math.min(stats.size, SHRED_CHUNK_SIZE));
+
+      for (let pass = 0; pass < secure.passes; pass++) {
+        for (let offset = 0; offset < stats.size; offset += chunk.length) {
+          const length = Math.min(chunk.length, stats.size - offset);
+          if (secure.fill === 'random') {
+            crypto.randomFillSync(chunk, 0, length);
+          }
+          fs.writeSync(fd, chunk, 0, length, offset);
+        }
+        fs.fsyncSync(fd);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  fs.unlinkSync(target);
+}
+
+/**
+ * Record the outcome of a single cleanup in a cleanup report
+ * @param {Object} report - Report being built
+ * @param {string} filePath - Path that was cleaned up
+ * @param {{status: string, error?: TempCleanupError}} result - Outcome of the cleanup
+ */
+function addToReport(report, filePath, result) {
+  if (result.status === 'failed') {
+    report.failed.push({ path: filePath, error: result.error });
+  } else {
+    report[result.status].push(filePath);
+  }
+}
+
+/**
+ * Wrap a removal failure and hand it to onCleanupError or the logger
+ * @param {string} filePath - Path that could not be removed
+ * @param {Error} error - Underlying error
+ * @returns {TempCleanupError} The reported error
+ */
+function reportCleanupError(filePath, error) {
+  const cleanupError = new TempCleanupError(`Failed to cleanup ${filePath}: ${error.message}`, {
+    cause: error,
+    path: filePath
+  });
+
+  if (settings.onCleanupError) {
+    notify('onCleanupError', cleanupError);
+  } else {
+    log('warn', cleanupError.message);
+  }
+
+  return cleanupError;
+}
+
+/**
+ * Configure logging and lifecycle hooks
+ * @param {Object} options - Settings to change; omitted keys keep their value
+ * @param {Object|null} options.logger - Object with warn/error methods, or null to silence (default: console)
+ * @param {Function|null} options.onCreate - Called with each path registered for cleanup
+ * @param {Function|null} options.onCleanup - Called with each path removed by cleanup
+ * @param {Function|null} options.onCleanupError - Called with a TempCleanupError instead of logging it
+ * @param {string[]} options.handlers - Process events to clean up on (default: all of
+ *   'exit', 'SIGINT', 'SIGTERM', 'uncaughtException', 'unhandledRejection')
+ * @param {boolean} options.manifest - Record registered paths in a per-process manifest file
+ *   so reapStaleSync can remove them if this process dies without cleaning up (default: false)
+ * @param {string|null} options.manifestDir - Directory for manifest files
+ *   (default: '.temp-write-sync-<uid>' under os.tmpdir())
+ * @param {Function|null} options.nameGenerator - Returns the unique part of generated names,
+ *   for example createSeededNameGenerator(seed); null restores the default
+ * @param {boolean} options.privateRoot - Put temp paths without a dir option in a private 0o700
+ *   directory created once per process and removed on exit (default: false)
+ * @param {boolean} options.checkDirs - Refuse directories that are world-writable without the
+ *   sticky bit or owned by another user (default: true)
+ * @returns {Object} The resulting settings
+ */
+function configure(options = {}) {
+  if (options.handlers !== undefined) {
+    if (!Array.isArray(options.handlers)) {
+      throw new TempValidationError('handlers must be an array');
+    }
+
+    const unknown = options.handlers.filter(event => !HANDLER_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new TempValidationError(`Unknown cleanup handler: ${unknown.join(', ')}`);
+    }
+  }
+
+  if (options.nameGenerator !== undefined && options.nameGenerator !== null &&
+      typeof options.nameGenerator !== 'function') {
+    throw new TempValidationError('nameGenerator must be a function or null');
+  }
+
+  for (const key of Object.keys(settings)) {
+    if (options[key] !== undefined) {
+      settings[key] = options[key];
+    }
+  }
+
+  // Swap already installed handlers for the new selection
+  if (options.handlers !== undefined && cleanupRegistered) {
+    unregisterCleanup();
+    registerCleanup();
+  }
+
+  return { ...settings };
+}
+
+/**
+ * Write a message through the configured logger
+ * @param {string} level - Logger method name ('warn' or 'error')
+ * @param {...*} args - Arguments for the logger
+ */
+function log(level, ...args) {
+  if (settings.logger && typeof settings.logger[level] === 'function') {
+    settings.logger[level](...args);
+  }
+}
+
+/**
+ * Call a configured lifecycle hook, if any.
+ * A throwing hook is logged so it cannot interrupt creation or cleanup.
+ * @param {string} hook - Hook name
+ * @param {string|TempCleanupError} value - Path or error the hook is about
+ */
+function notify(hook, value) {
+  if (typeof settings[hook] !== 'function') {
+    return;
+  }
+
+  try {
+    settings[hook](value);
+  } catch (error) {
+    log('error', `${hook} hook failed:`, error);
+  }
+}
+
+/**
+ * Get list of all registered temporary files
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.withExpiry - Return {path, expiresAt} objects instead of paths
+ * @returns {string[]|Array<{path: string, expiresAt: Date|null}>} Temporary file paths
+ */
+function getTempFiles(options = {}) {
+  if (options.withExpiry) {
+    return listEntries(rootRegistry).map(({ entry }) => ({
+      path: entry.path,
+      expiresAt: entry.expiresAt === null ? null : new Date(entry.expiresAt)
+    }));
+  }
+
+  return listPaths(rootRegistry);
+}
+
+/**
+ * Get every registered temporary path with its metadata
+ * @returns {Array<Object>} Entries with path, kind, size, createdAt, expiresAt, creator, options and tag
+ */
+function getTempEntries() {
+  return listEntries(rootRegistry).map(({ entry }) => ({
+    path: entry.path,
+    kind: entry.kind,
+    size: sizeOf(entry.path),
+    createdAt: new Date(entry.createdAt),
+    expiresAt: entry.expiresAt === null ? null : new Date(entry.expiresAt),
+    creator: entry.creator,
+    options: { ...entry.options },
+    tag: entry.tag
+  }));
+}
+
+/**
+ * Summarize the registry
+ * @returns {{count: number, totalBytes: number}} Number of entries and their combined size on disk
+ */
+function getTempStats() {
+  const entries = listEntries(rootRegistry);
+  const totalBytes = entries.reduce((total, { entry }) => total + (sizeOf(entry.path) || 0), 0);
+
+  return { count: entries.length, totalBytes };
+}
+
+/**
+ * Clean up every registered path created with the given tag
+ * @param {string} tag - Tag passed to the creators
+ * @returns {{removed: string[], missing: string[], failed: Array<{path: string, error: TempCleanupError}>}}
+ *   Report of the tagged paths
+ */
+function cleanupByTagSync(tag) {
+  const report = { removed: [], missing: [], failed: [] };
+
+  for (const { entry, registry } of listEntries(rootRegistry)) {
+    if (entry.tag === tag) {
+      addToReport(report, entry.path, cleanupEntrySync(entry.path, registry));
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Measure a path on disk, summing directory contents
+ * @param {string} filePath - File or directory
+ * @returns {number|null} Size in bytes, or null if the path is gone
+ */
+function sizeOf(filePath) {
+  let stats;
+  try {
+    stats = fs.lstatSync(filePath);
+  } catch (error) {
+    return null;
+  }
+
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  return fs.readdirSync(filePath)
+    .reduce((total, name) => total + (sizeOf(path.join(filePath, name)) || 0), 0);
+}
+
+/**
+ * Copy an existing file or directory to a temporary location
+ *
+ * Files are copied with fs.copyFileSync, using copy-on-write where the
+ * filesystem supports it. Directories are copied recursively into a new
+ * temporary directory, and only that directory is registered for cleanup.
+ * @param {string} sourcePath - Path to the source file or directory
+ * @param {string} extension - Extension for temp file (ignored for directories)
+ * @param {Object} options - Configuration options
+ * @param {number} options.mode - Mode for copied files when preserveMode is off (default: 0o600)
+ * @param {boolean} options.preserveMode - Keep the source's permission bits (default: false)
+ * @param {Function} options.filter - Called with (sourcePath, relativePath) for each entry inside a
+ *   directory; return false to skip it
+ * @param {string} options.symlinks - 'preserve' to copy links as links, 'follow' to copy what
+ *   they point to (default: 'preserve')
+ * @returns {string} Path to the temporary copy
+ */
+function tempCopySync(sourcePath, extension = '', options = {}) {
+  const secure = normalizeSecure(options.secure);
+  assertTtl(options.ttl);
+  assertAttempts(options.attempts);
+
+  const {
+    dir = defaultTempDir(),
+    prefix = 'temp-',
+    cleanup = true,
+    mode = 0o600,
+    preserveMode = false,
+    attempts = DEFAULT_ATTEMPTS
+  } = options;
+
+  if (!fs.existsSync(sourcePath)) {
+    throw new SourceNotFoundError(`Source file does not exist: ${sourcePath}`, { path: sourcePath });
+  }
+
+  const symlinks = options.symlinks || 'preserve';
+  if (!['preserve', 'follow'].includes(symlinks)) {
+    throw new TempValidationError(`Invalid symlinks mode: ${symlinks}`);
+  }
+
+  const stats = fs.statSync(sourcePath);
+
+  if (stats.isDirectory()) {
+    // mode applies to the copied files; the root keeps tempDirSync's directory default
+    const dirOptions = { ...options };
+    delete dirOptions.mode;
+    const root = tempDirSync(asCreator(dirOptions, 'tempCopySync'));
+
+    try {
+      copyTreeSync(sourcePath, root, '', { ...options, mode, symlinks }, [fs.realpathSync(sourcePath)]);
+      if (preserveMode) {
+        fs.chmodSync(root, stats.mode & 0o7777);
+      }
+    } catch (error) {
+      cleanupEntrySync(root, rootRegistry);
+      throw toTempError(error, 'Failed to copy directory', root);
+    }
+
+    return root;
+  }
+
+  // Use original extension if none provided
+  if (!extension) {
+    extension = path.extname(sourcePath);
+  }
+
+  if (typeof extension !== 'string') {
+    throw new TempValidationError('Extension must be a string');
+  }
+
+  extension = normalizeExtension(extension);
+
+  try {
+    prepareDirSync(dir);
+
+    const filePath = createUniqueSync(
+      () => path.join(dir, generateName(prefix, extension, options.nameGenerator)),
+      candidate => copyFileWithModeSync(sourcePath, candidate, preserveMode ? stats.mode : mode),
+      attempts
+    );
+
+    if (cleanup) {
+      track(filePath, options, 'file', 'tempCopySync', secure);
+    }
+
+    return filePath;
+  } catch (error) {
+    throw toTempError(error, 'Failed to copy temporary file', dir);
+  }
+}
+
+/**
+ * Copy the contents of a directory into an existing directory
+ * @param {string} sourceDir - Directory to copy from
+ * @param {string} targetDir - Directory to copy into
+ * @param {string} base - Relative path of sourceDir, with a trailing '/'
+ * @param {Object} settings - tempCopySync options with mode and symlinks resolved
+ * @param {string[]} ancestors - Real paths of the directories being copied, to detect link cycles
+ */
+function copyTreeSync(sourceDir, targetDir, base, settings, ancestors) {
+  const { mode, preserveMode, filter, symlinks } = settings;
+
+  for (const name of fs.readdirSync(sourceDir)) {
+    const source = path.join(sourceDir, name);
+    const target = path.join(targetDir, name);
+    const relative = base + name;
+
+    if (filter && !filter(source, relative)) {
+      continue;
+    }
+
+    let stats = fs.lstatSync(source);
+
+    if (stats.isSymbolicLink()) {
+      if (symlinks === 'preserve') {
+        fs.symlinkSync(fs.readlinkSync(source), target);
+        continue;
+      }
+      stats = fs.statSync(source);
+    }
+
+    if (stats.isDirectory()) {
+      const real = fs.realpathSync(source);
+      if (ancestors.includes(real)) {
+        throw new TempValidationError(`Symbolic link cycle at ${source}`, { path: source });
+      }
+
+      fs.mkdirSync(target);
+      copyTreeSync(source, target, relative + '/', settings, ancestors.concat(real));
+      // Applied after the contents so read-only directories can still be filled
+      if (preserveMode) {
+        fs.chmodSync(target, stats.mode & 0o7777);
+      }
+    } else if (stats.isFile()) {
+      copyFileWithModeSync(source, target, preserveMode ? stats.mode : mode);
+    }
+    // Sockets, FIFOs and devices are skipped
+  }
+}
+
+/**
+ * Copy a file to a new path and set its mode
+ * @param {string} source - File to copy
+ * @param {string} target - Destination, which must not exist
+ * @param {number} mode - Permission bits for the copy
+ */
+function copyFileWithModeSync(source, target, mode) {
+  fs.copyFileSync(source, target, fs.constants.COPYFILE_EXCL | fs.constants.COPYFILE_FICLONE);
+
+  try {
+    // copyFileSync copies the source's mode, so set the requested one explicitly
+    fs.chmodSync(target, mode & 0o7777);
+  } catch (error) {
+    fs.unlinkSync(target);
+    throw error;
+  }
+}
+
+/**
+ * Directory new temp paths go in when no dir option is given
+ * @returns {string} The private root when enabled, otherwise os.tmpdir()
+ */
+function defaultTempDir() {
+  return settings.privateRoot ? privateRootSync() : os.tmpdir();
+}
+
+/**
+ * Get the private per-process root, creating it on first use
+ * @returns {string} Path of a 0o700 directory under os.tmpdir()
+ */
+function privateRootSync() {
+  if (privateRoot && fs.existsSync(privateRoot)) {
+    return privateRoot;
+  }
+
+  try {
+    // The leading dot keeps reapStaleSync's default 'temp-' prefix from matching a live root
+    privateRoot = fs.mkdtempSync(path.join(os.tmpdir(), `.temp-write-sync-${process.pid}-`));
+    // mkdtemp already uses 0o700; set it explicitly in case a platform differs
+    fs.chmodSync(privateRoot, 0o700);
+  } catch (error) {
+    throw toTempError(error, 'Failed to create private temp root', os.tmpdir());
+  }
+
+  recordManifest('add', privateRoot);
+  registerCleanup();
+  return privateRoot;
+}
+
+/**
+ * Remove the private root, including files written into it with cleanup: false
+ */
+function removePrivateRootSync() {
+  if (!privateRoot) {
+    return;
+  }
+
+  const result = cleanupEntrySync(privateRoot, rootRegistry);
+  if (result.status !== 'failed') {
+    recordManifest('remove', privateRoot);
+    privateRoot = null;
+  }
+}
+
+/**
+ * Create a directory for temp paths if needed and check that it is safe to use
+ * @param {string} dir - Directory that will hold temp paths
+ */
+function prepareDirSync(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  assertSafeDir(dir, fs.statSync(dir));
+}
+
+/**
+ * Async counterpart of prepareDirSync
+ * @param {string} dir - Directory that will hold temp paths
+ * @returns {Promise<void>}
+ */
+async function prepareDir(dir) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  assertSafeDir(dir, await fs.promises.stat(dir));
+}
+
+/**
+ * Refuse directories where another user could replace or read temp paths
+ * @param {string} dir - Directory being checked
+ * @param {fs.Stats} stats - Stats of the directory
+ */
+function assertSafeDir(dir, stats) {
+  // Ownership and permission bits are not meaningful on Windows
+  if (!settings.checkDirs || typeof process.getuid !== 'function') {
+    return;
+  }
+
+  if ((stats.mode & 0o002) && !(stats.mode & 0o1000)) {
+    throw new TempValidationError(
+      `Refusing to use world-writable directory without the sticky bit: ${dir}`,
+      { path: dir }
+    );
+  }
+
+  if (stats.uid !== process.getuid() && stats.uid !== 0) {
+    throw new TempValidationError(`Refusing to use directory owned by another user: ${dir}`, { path: dir });
+  }
+}
+
+/**
+ * Ensure a file extension starts with a dot
+ * @param {string} extension - Extension with or without leading dot
+ * @returns {string} Normalized extension ('' when none given)
+ */
+function normalizeExtension(extension) {
+  if (extension && !extension.startsWith('.')) {
+    return '.' + extension;
+  }
+
+  return extension;
+}
+
+/**
+ * Generate a unique file or directory name
+ * @param {string} prefix - Name prefix
+ * @param {string} extension - Normalized extension (default: '')
+ * @param {Function|null} nameGenerator - Per-call generator, falling back to the configured one
+ * @returns {string} Generated name
+ */
+function generateName(prefix, extension = '', nameGenerator = null) {
+  const generate = nameGenerator || settings.nameGenerator || defaultNameGenerator;
+  const id = generate({ prefix, extension });
+
+  if (typeof id !== 'string' || id === '' || /[\/\\\0]/.test(id) || id.includes('..')) {
+    throw new TempValidationError(`nameGenerator must return a plain file name, got: ${String(id)}`);
+  }
+
+  return `${prefix}${id}${extension}`;
+}
+
+/**
+ * Default name generator: base-36 timestamp and 12 random hex characters
+ * @returns {string} Unique part of a name
+ */
+function defaultNameGenerator() {
+  const randomId = crypto.randomBytes(6).toString('hex');
+  const timestamp = Date.now().toString(36);
+  return `${timestamp}-${randomId}`;
+}
+
+/**
+ * Create a name generator that yields the same sequence of names for the same seed
+ *
+ * Use it in tests whose output includes temp paths. A name that is already
+ * taken is retried with the next name in the sequence.
+ * @param {number|string} seed - Seed for the sequence (default: 0)
+ * @returns {Function} Name generator for the nameGenerator option
+ */
+function createSeededNameGenerator(seed = 0) {
+  if (typeof seed !== 'number' && typeof seed !== 'string') {
+    throw new TempValidationError('Seed must be a number or a string');
+  }
+
+  // FNV-1a hash of the seed text as the initial state
+  let state = 0x811c9dc5;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 0x01000193) >>> 0;
+  }
+
+  // mulberry32
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0).toString(16).padStart(8, '0');
+  };
+
+  return () => (next() + next()).slice(0, 12);
+}
+
+/**
+ * Replace registered temp paths in text with stable placeholders
+ *
+ * Paths are numbered in registration order as <temp-1>, <temp-2>, and so on,
+ * so output that embeds temp paths can be compared against a snapshot. Longer
+ * paths are replaced first, and each path's resolved form (for example
+ * /private/var on macOS) is replaced as well.
+ * @param {string} text - Text to normalize
+ * @returns {string} Text with temp paths replaced
+ */
+function normalizePaths(text) {
+  if (typeof text !== 'string') {
+    throw new TempValidationError('Text must be a string');
+  }
+
+  const placeholders = new Map();
+
+  listEntries(rootRegistry).forEach(({ entry }, index) => {
+    const placeholder = `<temp-${index + 1}>`;
+    placeholders.set(entry.path, placeholder);
+
+    try {
+      const real = fs.realpathSync(entry.path);
+      if (!placeholders.has(real)) {
+        placeholders.set(real, placeholder);
+      }
+    } catch (error) {
+      // Removed paths are matched by their registered form only
+    }
+  });
+
+  if (placeholders.size === 0) {
+    return text;
+  }
+
+  const paths = [...placeholders.keys()].sort((a, b) => b.length - a.length);
+  const matcher = new RegExp(paths.map(escapeRegExp).join('|'), 'g');
+  return text.replace(matcher, match => placeholders.get(match));
+}
+
+/**
+ * Wrap a filesystem failure in a TempWriteError, passing TempErrors through
+ * @param {Error} error - Caught error
+ * @param {string} message - Message prefix describing the failed operation
+ * @param {string} fallbackPath - Path to report when the error carries none
+ * @returns {TempError} Error to throw
+ */
+function toTempError(error, message, fallbackPath) {
+  if (error instanceof TempError) {
+    return error;
+  }
+
+  return new TempWriteError(`${message}: ${error.message}`, {
+    cause: error,
+    path: error.path || fallbackPath
+  });
+}
+
+/**
+ * Create a path exclusively, retrying with a fresh name when it already exists
+ * @param {Function} makePath - Returns a candidate path
+ * @param {Function} create - Creates the candidate, failing with EEXIST if taken
+ * @param {number} attempts - Maximum number of candidates to try
+ * @returns {string} The path that was created
+ */
+function createUniqueSync(makePath, create, attempts) {
+  let candidate;
+
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    candidate = makePath();
+
+    try {
+      create(candidate);
+      return candidate;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+
+  throw new TempCollisionError(candidate, attempts);
+}
+
+/**
+ * Async variant of createUniqueSync
+ * @param {Function} makePath - Returns a candidate path
+ * @param {Function} create - Creates the candidate, rejecting with EEXIST if taken
+ * @param {number} attempts - Maximum number of candidates to try
+ * @returns {Promise<string>} The path that was created
+ */
+async function createUnique(makePath, create, attempts) {
+  let candidate;
+
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    candidate = makePath();
+
+    try {
+      await create(candidate);
+      return candidate;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+
+  throw new TempCollisionError(candidate, attempts);
+}
+
+/**
+ * Substitute the placeholders of a filename pattern
+ *
+ * Supports {random}, {random:N}, {uuid}, {pid}, {counter}, {timestamp}, {time},
+ * {date}, {date:FORMAT}, {ext} and the names in options.vars. Every occurrence
+ * is replaced, and names that could leave the target directory are rejected.
+ * @param {string} pattern - Filename pattern
+ * @param {Object} options - Pattern options
+ * @param {string} options.prefix - Prepended to the expanded name (default: '')
+ * @param {string} options.ext - Value of {ext}, with or without a leading dot (default: '')
+ * @param {Object} options.vars - Values for custom placeholders
+ * @returns {string} Expanded filename
+ */
+function expandPattern(pattern, options = {}) {
+  const { prefix = '', vars = {} } = options;
+
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new TempValidationError('Pattern must be a non-empty string');
+  }
+
+  const now = new Date();
+  const timestamp = now.getTime().toString(36);
+
+  const name = prefix + pattern.replace(/\{(\w+)(?::([^{}]*))?\}/g, (placeholder, key, arg) => {
+    switch (key) {
+      case 'random':
+        return randomHex(arg === undefined ? 12 : patternLength(arg, placeholder));
+      case 'uuid':
+        return randomUuid();
+      case 'pid':
+        return String(process.pid);
+      case 'counter':
+        patternCounter += 1;
+        return String(patternCounter);
+      case 'timestamp':
+      case 'time':
+        return timestamp;
+      case 'date':
+        return formatPatternDate(now, arg || 'YYYYMMDD');
+      case 'ext':
+        return normalizeExtension(options.ext || '');
+    }
+
+    if (arg === undefined && Object.prototype.hasOwnProperty.call(vars, key)) {
+      return String(vars[key]);
+    }
+    throw new TempValidationError(`Unknown pattern placeholder: ${placeholder}`);
+  });
+
+  if (/[\/\\\0]/.test(name) || name.includes('..') || name === '.') {
+    throw new TempValidationError(`Pattern must expand to a plain file name: ${name}`);
+  }
+
+  return name;
+}
+
+/**
+ * Check whether a pattern yields a different name on each expansion
+ * @param {string} pattern - Filename pattern
+ * @returns {boolean} True if retrying after a collision can help
+ */
+function isVaryingPattern(pattern) {
+  return typeof pattern === 'string' && /\{(random|uuid|counter)(:[^{}]*)?\}/.test(pattern);
+}
+
+/**
+ * Parse the length argument of {random:N}
+ * @param {string} arg - Argument text
+ * @param {string} placeholder - Whole placeholder, for the error message
+ * @returns {number} Number of hex characters
+ */
+function patternLength(arg, placeholder) {
+  const length = Number(arg);
+
+  if (!Number.isInteger(length) || length < 1 || length > 64) {
+    throw new TempValidationError(`Invalid length in ${placeholder}; expected 1 to 64`);
+  }
+
+  return length;
+}
+
+/**
+ * Generate a random hex string
+ * @param {number} length - Number of hex characters
+ * @returns {string} Random hex string
+ */
+function randomHex(length) {
+  return crypto.randomBytes(Math.ceil(length / 2)).toString('hex').slice(0, length);
+}
+
+/**
+ * Generate a random (version 4) UUID
+ * @returns {string} UUID string
+ */
+function randomUuid() {
+  const bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Format a date for {date:FORMAT}, in local time
+ * @param {Date} date - Date to format
+ * @param {string} format - Format using YYYY, MM, DD, HH, mm and ss
+ * @returns {string} Formatted date
+ */
+function formatPatternDate(date, format) {
+  const pad = value => String(value).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+}
+
+/**
+ * Create an empty registry of temporary paths
+ * @param {Object} parent - Registry that cleans this one up along with itself
+ * @returns {{entries: Map<string, Object>, children: Set<Object>, parent: Object}} New registry
+ */
+function createRegistry(parent = null) {
+  return { entries: new Map(), children: new Set(), parent };
+}
+
+/**
+ * Add a path to the cleanup registry
+ * @param {string} filePath - Path to track
+ * @param {Object} options - Creator options
+ * @param {number} options.ttl - Remove the path after this many ms
+ * @param {string} options.tag - Label for grouping entries
+ * @param {string} kind - 'file' or 'dir'
+ * @param {string} creator - Name of the function that created the path
+ * @param {{passes: number, fill: string}|null} secure - Overwrite settings from normalizeSecure
+ */
+function track(filePath, options = {}, kind = 'file', creator = null, secure = null) {
+  const registry = options[registryKey] || rootRegistry;
+  const createdAt = Date.now();
+  const expiresAt = typeof options.ttl === 'number' ? createdAt + options.ttl : null;
+
+  // Keep only the caller's options, not the hidden routing keys
+  const usedOptions = {};
+  for (const key of Object.keys(options)) {
+    usedOptions[key] = options[key];
+  }
+
+  sweepIfDue();
+  registerCleanup();
+  registry.entries.set(filePath, {
+    path: filePath,
+    kind,
+    createdAt,
+    expiresAt,
+    creator: options[creatorKey] || creator,
+    options: usedOptions,
+    tag: options.tag === undefined ? null : options.tag,
+    secure
+  });
+  attach(registry);
+  recordManifest('add', filePath);
+  notify('onCreate', filePath);
+
+  if (expiresAt !== null) {
+    scheduleSweep(expiresAt);
+  }
+}
+
+/**
+ * Attribute a path created through a delegate to the public function called
+ * @param {Object} options - Creator options
+ * @param {string} creator - Name of the outermost creator
+ * @returns {Object} Options carrying the creator name
+ */
+function asCreator(options, creator) {
+  return { ...options, [creatorKey]: options[creatorKey] || creator };
+}
+
+/**
+ * Link a registry into its ancestors so their cleanup reaches it
+ * @param {Object} registry - Registry holding paths
+ */
+function attach(registry) {
+  for (let current = registry; current.parent; current = current.parent) {
+    current.parent.children.add(current);
+  }
+}
+
+/**
+ * Unlink an emptied registry from its parent so idle contexts can be collected
+ * @param {Object} registry - Registry that was cleaned up
+ */
+function detach(registry) {
+  if (registry.parent && registry.entries.size === 0 && registry.children.size === 0) {
+    registry.parent.children.delete(registry);
+    detach(registry.parent);
+  }
+}
+
+/**
+ * Remove a path from a registry and its child registries
+ * @param {Object} registry - Registry to search
+ * @param {string} filePath - Path to remove
+ */
+function forget(registry, filePath) {
+  if (removeFromRegistry(registry, filePath)) {
+    recordManifest('remove', filePath);
+  }
+}
+
+/**
+ * Recursive part of forget
+ * @param {Object} registry - Registry to search
+ * @param {string} filePath - Path to remove
+ * @returns {boolean} True if any registry tracked the path
+ */
+function removeFromRegistry(registry, filePath) {
+  wipeKey(registry.entries.get(filePath));
+  let removed = registry.entries.delete(filePath);
+
+  for (const child of Array.from(registry.children)) {
+    removed = removeFromRegistry(child, filePath) || removed;
+  }
+
+  // Emptied contexts would otherwise be searched on every lookup for the rest of the process
+  detach(registry);
+  return removed;
+}
+
+/**
+ * Wipe the encryption key of an entry, so its file can no longer be decrypted
+ * @param {Object} entry - Registry entry, if any
+ */
+function wipeKey(entry) {
+  if (entry && entry.key) {
+    entry.key.fill(0);
+    entry.key = null;
+  }
+}
+
+/**
+ * Check whether a registry or one of its children tracks a path
+ * @param {Object} registry - Registry to search
+ * @param {string} filePath - Path to look up
+ * @returns {boolean} True if tracked
+ */
+function hasPath(registry, filePath) {
+  if (registry.entries.has(filePath)) {
+    return true;
+  }
+
+  return Array.from(registry.children).some(child => hasPath(child, filePath));
+}
+
+/**
+ * List the paths of a registry followed by those of its child registries
+ * @param {Object} registry - Registry to list
+ * @returns {string[]} Tracked paths
+ */
+function listPaths(registry) {
+  return listEntries(registry).map(({ entry }) => entry.path);
+}
+
+/**
+ * List the entries of a registry followed by those of its child registries
+ * @param {Object} registry - Registry to list
+ * @returns {Array<{entry: Object, registry: Object}>} Entries with the registry holding them
+ */
+function listEntries(registry) {
+  const entries = Array.from(registry.entries.values(), entry => ({ entry, registry }));
+
+  for (const child of registry.children) {
+    entries.push(...listEntries(child));
+  }
+
+  return entries;
+}
+
+/**
+ * Remove every registered path whose ttl has passed
+ * @returns {{removed: string[], missing: string[], failed: Array<{path: string, error: TempCleanupError}>}}
+ *   Report of the expired paths
+ */
+function sweepExpiredSync() {
+  const report = { removed: [], missing: [], failed: [] };
+  const now = Date.now();
+
+  for (const { entry, registry } of listEntries(rootRegistry)) {
+    if (entry.expiresAt !== null && entry.expiresAt <= now) {
+      addToReport(report, entry.path, cleanupEntrySync(entry.path, registry));
+    }
+  }
+
+  // Reschedule for what is left; failed removals wait for the next sweep or exit
+  if (sweepTimer) {
+    clearTimeout(sweepTimer);
+    sweepTimer = null;
+  }
+  nextExpiry = null;
+
+  for (const { entry } of listEntries(rootRegistry)) {
+    if (entry.expiresAt !== null && entry.expiresAt > now) {
+      scheduleSweep(entry.expiresAt);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Run the expiry sweep lazily when an entry is past due
+ */
+function sweepIfDue() {
+  if (nextExpiry !== null && nextExpiry <= Date.now()) {
+    sweepExpiredSync();
+  }
+}
+
+/**
+ * Make sure an unref'd timer fires by the given expiry time
+ * @param {number} expiresAt - Epoch ms at which an entry expires
+ */
+function scheduleSweep(expiresAt) {
+  if (nextExpiry !== null && nextExpiry <= expiresAt) {
+    return;
+  }
+
+  if (sweepTimer) {
+    clearTimeout(sweepTimer);
+  }
+
+  nextExpiry = expiresAt;
+  sweepTimer = setTimeout(() => {
+    sweepTimer = null;
+    sweepExpiredSync();
+  }, Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMER_DELAY));
+
+  // Never keep the process alive just to expire temp files
+  sweepTimer.unref();
+}
+
+/**
+ * Create a temporary file, pass its path to a callback, then remove it
+ * @param {string|Buffer} content - Content to write to the file
+ * @param {string} extension - File extension (e.g., '.txt', '.json')
+ * @param {Function} fn - Callback receiving the file path
+ * @param {Object} options - Same options as tempWriteSync
+ * @returns {*} Return value of the callback
+ */
+function withTempFileSync(content, extension, fn, options = {}) {
+  const filePath = tempWriteSync(content, extension, { ...options, cleanup: true });
+
+  try {
+    return fn(filePath);
+  } finally {
+    cleanupSync(filePath);
+  }
+}
+
+/**
+ * Create a temporary directory, pass its path to a callback, then remove it
+ * @param {Function} fn - Callback receiving the directory path
+ * @param {Object} options - Same options as tempDirSync
+ * @returns {*} Return value of the callback
+ */
+function withTempDirSync(fn, options = {}) {
+  const dirPath = tempDirSync({ ...options, cleanup: true });
+
+  try {
+    return fn(dirPath);
+  } finally {
+    cleanupSync(dirPath);
+  }
+}
+
+/**
+ * Create a temporary file wrapped in a disposable handle for `using` declarations
+ * @param {string|Buffer} content - Content to write to the file
+ * @param {string} extension - File extension (e.g., '.txt', '.json')
+ * @param {Object} options - Same options as tempWriteSync
+ * @returns {{path: string}} Handle whose dispose methods remove the file
+ */
+function tempFile(content, extension = '', options = {}) {
+  const filePath = tempWriteSync(content, extension, options);
+
+  return {
+    path: filePath,
+    [disposeSymbol]() {
+      cleanupSync(filePath);
+    },
+    async [asyncDisposeSymbol]() {
+      cleanupSync(filePath);
+    }
+  };
+}
+
+/**
+ * Atomically replace a file by writing a temporary sibling and renaming it into place
+ * @param {string} targetPath - File to create or replace
+ * @param {string|Buffer} content - Content to write
+ * @param {Object} options - Configuration options
+ * @param {number} options.mode - File permissions (default: existing file's mode)
+ * @param {boolean} options.chown - Keep the existing file's owner and group where permitted (default: true)
+ * @returns {string} The target path
+ */
+function writeFileAtomicSync(targetPath, content, options = {}) {
+  const { mode, chown = true } = options;
+
+  if (content === null || content === undefined) {
+    throw new TempValidationError('Content cannot be null or undefined');
+  }
+
+  // Write through a symbolic link instead of replacing it
+  let realTarget = targetPath;
+  let existing = null;
+  try {
+    realTarget = resolveAtomicTargetSync(targetPath);
+    existing = fs.statSync(realTarget);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw toTempError(error, 'Failed to write file atomically', targetPath);
+    }
+  }
+
+  const targetMode = mode !== undefined ? mode : existing && existing.mode & 0o7777;
+  const openMode = typeof targetMode === 'number' ? targetMode : 0o666;
+  let tmpPath;
+  let fd;
+
+  try {
+    tmpPath = createUniqueSync(
+      () => atomicTempPath(realTarget),
+      candidate => {
+        fd = fs.openSync(candidate, 'wx', openMode);
+      },
+      DEFAULT_ATTEMPTS
+    );
+    track(tmpPath, {}, 'file', 'writeFileAtomicSync');
+
+    fs.writeFileSync(fd, content);
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = undefined;
+
+    // Undo the umask so the replacement keeps the exact mode
+    if (typeof targetMode === 'number') {
+      fs.chmodSync(tmpPath, targetMode);
+    }
+
+    if (chown && existing && shouldChown(existing)) {
+      try {
+        fs.chownSync(tmpPath, existing.uid, existing.gid);
+      } catch (error) {
+        if (!isChownDenied(error)) {
+          throw error;
+        }
+      }
+    }
+
+    fs.renameSync(tmpPath, realTarget);
+    forget(rootRegistry, tmpPath);
+
+    return targetPath;
+  } catch (error) {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+    if (tmpPath) {
+      cleanupSync(tmpPath);
+    }
+    throw toTempError(error, 'Failed to write file atomically', targetPath);
+  }
+}
+
+/**
+ * Find the file an atomic write should replace, following symbolic links
+ * even when they dangle, so the link itself is never overwritten
+ * @param {string} targetPath - Path given to the atomic write
+ * @returns {string} Path the content should end up at
+ */
+function resolveAtomicTargetSync(targetPath) {
+  try {
+    return fs.realpathSync(targetPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  let target = targetPath;
+  for (let depth = 0; depth < MAX_SYMLINK_DEPTH; depth++) {
+    let link;
+    try {
+      link = fs.readlinkSync(target);
+    } catch (error) {
+      // EINVAL: not a link; ENOENT: nothing there yet
+      if (error.code === 'EINVAL' || error.code === 'ENOENT') {
+        return target;
+      }
+      throw error;
+    }
+    target = path.resolve(path.dirname(target), link);
+  }
+
+  throw Object.assign(new Error(`Too many symbolic links: ${targetPath}`), { code: 'ELOOP' });
+}
+
+/**
+ * Async variant of resolveAtomicTargetSync
+ * @param {string} targetPath - Path given to the atomic write
+ * @returns {Promise<string>} Path the content should end up at
+ */
+async function resolveAtomicTarget(targetPath) {
+  try {
+    return await fs.promises.realpath(targetPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  let target = targetPath;
+  for (let depth = 0; depth < MAX_SYMLINK_DEPTH; depth++) {
+    let link;
+    try {
+      link = await fs.promises.readlink(target);
+    } catch (error) {
+      if (error.code === 'EINVAL' || error.code === 'ENOENT') {
+        return target;
+      }
+      throw error;
+    }
+    target = path.resolve(path.dirname(target), link);
+  }
+
+  throw Object.assign(new Error(`Too many symbolic links: ${targetPath}`), { code: 'ELOOP' });
+}
+
+/**
+ * Build the path of the in-flight temporary file for an atomic write
+ * @param {string} targetPath - File being replaced
+ * @returns {string} Hidden sibling path in the target's directory
+ */
+function atomicTempPath(targetPath) {
+  const dir = path.dirname(targetPath);
+  return path.join(dir, generateName(`.${path.basename(targetPath)}.`, '.tmp'));
+}
+
+/**
+ * Check whether ownership has to be copied onto a replacement file
+ * @param {fs.Stats} stats - Stats of the file being replaced
+ * @returns {boolean} True when the owner or group differs from the current process
+ */
+function shouldChown(stats) {
+  if (typeof process.getuid !== 'function') {
+    return false;
+  }
+
+  return stats.uid !== process.getuid() || stats.gid !== process.getgid();
+}
+
+/**
+ * Check whether a chown failure only means the owner cannot be kept
+ * @param {Error} error - Error from chown
+ * @returns {boolean} True for EPERM and EINVAL, which unprivileged users get for foreign owners
+ */
+function isChownDenied(error) {
+  return error.code === 'EPERM' || error.code === 'EINVAL';
+}
+
+/**
+ * Register cleanup handlers for the process events selected in settings.handlers
+ */
+function registerCleanup() {
+  if (cleanupRegistered) {
+    return;
+  }
+
+  cleanupRegistered = true;
+
+  const listeners = {
+    // Clean up on normal exit
+    exit: () => {
+      cleanupAllSync();
+      removePrivateRootSync();
+    },
+
+    // Clean up on SIGINT (Ctrl+C)
+    SIGINT: () => {
+      handleSignal('SIGINT');
+    },
+
+    // Clean up on SIGTERM
+    SIGTERM: () => {
+      handleSignal('SIGTERM');
+    },
+
+    // Clean up on uncaught exceptions
+    uncaughtException: (error) => {
+      log('error', 'Uncaught Exception:', error);
+      cleanupAllSync();
+      process.exit(1);
+    },
+
+    // Clean up on unhandled promise rejections
+    unhandledRejection: (reason) => {
+      log('error', 'Unhandled Rejection:', reason);
+      cleanupAllSync();
+      process.exit(1);
+    }
+  };
+
+  for (const event of settings.handlers) {
+    process.on(event, listeners[event]);
+    installedHandlers.set(event, listeners[event]);
+  }
+}
+
+/**
+ * Remove every process handler installed by registerCleanup.
+ * Handlers are installed again, per settings.handlers, on the next registration.
+ */
+function unregisterCleanup() {
+  for (const [event, listener] of installedHandlers) {
+    process.removeListener(event, listener);
+  }
+
+  installedHandlers.clear();
+  cleanupRegistered = false;
+}
+
+/**
+ * Clean up on a signal, then re-raise it so the process ends the way it would have
+ * @param {string} signal - Signal name
+ */
+function handleSignal(signal) {
+  cleanupAllSync();
+  removePrivateRootSync();
+  unregisterCleanup();
+
+  // Leave shutdown to the application when it listens for the signal itself
+  if (process.listenerCount(signal) === 0) {
+    process.kill(process.pid, signal);
+  }
+}
+
+/**
+ * Directory holding per-process manifest files
+ * @returns {string} Manifest directory, per user unless configured
+ */
+function manifestDirectory() {
+  if (settings.manifestDir) {
+    return settings.manifestDir;
+  }
+
+  const owner = typeof process.getuid === 'function' ? `-${process.getuid()}` : '';
+  return path.join(os.tmpdir(), `.temp-write-sync${owner}`);
+}
+
+/**
+ * Check that a manifest directory belongs to the current user.
+ * Anyone who can write to it can make reapStaleSync remove arbitrary paths.
+ * @param {string} dir - Manifest directory
+ * @param {fs.Stats} stats - Stats of dir
+ */
+function assertManifestDir(dir, stats) {
+  assertSafeDir(dir, stats);
+
+  if (typeof process.getuid === 'function' && stats.uid !== process.getuid()) {
+    throw new TempValidationError(`Refusing to use manifest directory owned by another user: ${dir}`, {
+      path: dir
+    });
+  }
+}
+
+/**
+ * Path of this process's manifest file
+ * @returns {string} Manifest path
+ */
+function manifestPath() {
+  return path.join(manifestDirectory(), `${process.pid}.ndjson`);
+}
+
+/**
+ * Append a registry change to this process's manifest, if enabled
+ * @param {string} op - 'add' or 'remove'
+ * @param {string} filePath - Path that changed
+ */
+function recordManifest(op, filePath) {
+  // A removal has nothing to cancel once the manifest is gone, e.g. after cleanupAllSync
+  if (!settings.manifest || (op === 'remove' && !fs.existsSync(manifestPath()))) {
+    return;
+  }
+
+  try {
+    const dir = manifestDirectory();
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    assertManifestDir(dir, fs.statSync(dir));
+
+    fs.appendFileSync(
+      manifestPath(),
+      JSON.stringify({ pid: process.pid, op, path: filePath }) + '\n',
+      { mode: 0o600 }
+    );
+  } catch (error) {
+    log('warn', `Failed to update temp manifest: ${error.message}`);
+  }
+}
+
+/**
+ * Delete this process's manifest once nothing is left to reap
+ */
+function removeManifest() {
+  try {
+    fs.unlinkSync(manifestPath());
+  } catch (error) {
+    // Never written, or already gone
+  }
+}
+
+/**
+ * Replay a manifest into the set of paths it still holds
+ * @param {string} file - Manifest path
+ * @returns {{pid: number, paths: Set<string>}} Owning PID and live paths
+ */
+function readManifest(file) {
+  const pid = parseInt(path.basename(file), 10);
+  const paths = new Set();
+
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      // Skip blank or partially written lines
+      continue;
+    }
+
+    if (record.op === 'add') {
+      paths.add(record.path);
+    } else if (record.op === 'remove') {
+      paths.delete(record.path);
+    }
+  }
+
+  return { pid, paths };
+}
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process id
+ * @returns {boolean} True if it exists (even when owned by another user)
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Remove a stale path and record the outcome
+ * @param {string} filePath - Path to remove
+ * @param {Object} report - Report to add the outcome to
+ * @returns {boolean} False if removal failed
+ */
+function reapPathSync(filePath, report) {
+  const result = cleanupEntrySync(filePath, rootRegistry);
+  addToReport(report, filePath, result);
+  return result.status !== 'failed';
+}
+
+/**
+ * Remove temp files left behind by dead processes or older than an age limit
+ * @param {Object} options - Configuration options
+ * @param {string} options.dir - Directory to scan for old files (default: os.tmpdir())
+ * @param {string} options.prefix - Name prefix of files to consider by age (default: 'temp-')
+ * @param {number} options.olderThan - Remove matching files not modified for this many ms
+ * @param {string} options.manifestDir - Directory of manifests to check for dead PIDs
+ * @param {boolean} options.manifests - Reap paths from manifests of dead processes (default: true)
+ * @returns {{removed: string[], missing: string[], failed: Array<{path: string, error: TempCleanupError}>}}
+ *   Report of the reaped paths
+ */
+function reapStaleSync(options = {}) {
+  const {
+    dir = os.tmpdir(),
+    prefix = 'temp-',
+    olderThan,
+    manifestDir = manifestDirectory(),
+    manifests = true
+  } = options;
+
+  const report = { removed: [], missing: [], failed: [] };
+
+  // Paths recorded by processes that are gone
+  let manifestNames = [];
+  try {
+    if (manifests) {
+      assertManifestDir(manifestDir, fs.statSync(manifestDir));
+      manifestNames = fs.readdirSync(manifestDir).filter(name => name.endsWith('.ndjson'));
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw toTempError(error, 'Failed to read temp manifests', manifestDir);
+    }
+  }
+
+  for (const name of manifestNames) {
+    const file = path.join(manifestDir, name);
+
+    // Only trust manifests this user wrote
+    let stats;
+    try {
+      stats = fs.lstatSync(file);
+    } catch (error) {
+      continue;
+    }
+    if (!stats.isFile() || (typeof process.getuid === 'function' && stats.uid !== process.getuid())) {
+      continue;
+    }
+
+    const { pid, paths } = readManifest(file);
+
+    if (pid === process.pid || isProcessAlive(pid)) {
+      continue;
+    }
+
+    let complete = true;
+    for (const filePath of paths) {
+      complete = reapPathSync(filePath, report) && complete;
+    }
+
+    if (complete) {
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  // Files past the age limit, whoever created them
+  if (typeof olderThan === 'number') {
+    const cutoff = Date.now() - olderThan;
+    let names = [];
+    try {
+      names = fs.readdirSync(dir);
+    } catch (error) {
+      throw toTempError(error, 'Failed to read temporary directory', dir);
+    }
+
+    for (const name of names) {
+      const filePath = path.join(dir, name);
+
+      if (!name.startsWith(prefix) || filePath === manifestDir || isTempFile(filePath)) {
+        continue;
+      }
+
+      let stats;
+      try {
+        stats = fs.lstatSync(filePath);
+      } catch (error) {
+        continue;
+      }
+
+      if (stats.mtimeMs < cutoff) {
+        reapPathSync(filePath, report);
+      }
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Disable automatic cleanup for specific file
+ * @param {string} filePath - Path to exclude from cleanup
+ */
+function excludeFromCleanup(filePath) {
+  forget(rootRegistry, filePath);
+}
+
+/**
+ * Check if a path is managed by temp-write-sync
+ * @param {string} filePath - Path to check
+ * @returns {boolean} True if path is managed
+ */
+function isTempFile(filePath) {
+  return hasPath(rootRegistry, filePath);
+}
+
+/**
+ * Write content to a temporary file with a specific name pattern
+ * @param {string|Buffer} content - Content to write
+ * @param {string} pattern - Filename pattern; see expandPattern for the placeholders
+ * @param {Object} options - Configuration options
+ * @param {string} options.prefix - Prepended to the expanded name (default: '')
+ * @param {number} options.mode - File permissions (default: 0o600)
+ * @param {string} options.ext - Value of the {ext} placeholder
+ * @param {Object} options.vars - Values for custom placeholders
+ * @returns {string} Path to the created file
+ */
+function tempWritePatternSync(content, pattern, options = {}) {
+  const secure = normalizeSecure(options.secure);
+  assertTtl(options.ttl);
+  assertAttempts(options.attempts);
+
+  const { dir = defaultTempDir(), cleanup = true, mode = 0o600, attempts = DEFAULT_ATTEMPTS } = options;
+
+  // A pattern without a varying placeholder would produce the same name on every retry
+  const maxAttempts = isVaryingPattern(pattern) ? attempts : 1;
+
+  try {
+    prepareDirSync(dir);
+
+    const filePath = createUniqueSync(
+      () => path.join(dir, expandPattern(pattern, options)),
+      candidate => fs.writeFileSync(candidate, content, { mode, flag: 'wx' }),
+      maxAttempts
+    );
+
+    if (cleanup) {
+      track(filePath, options, 'file', 'tempWritePatternSync', secure);
+    }
+
+    return filePath;
+  } catch (error) {
+    throw toTempError(error, 'Failed to write temporary file', dir);
+  }
+}
+
+/**
+ * Write content to a temporary file asynchronously
+ * @param {string|Buffer} content - Content to write to the file
+ * @param {string} extension - File extension (e.g., '.txt', '.json')
+ * @param {Object} options - Same options as tempWriteSync
+ * @returns {Promise<string>} Path to the created temporary file
+ */
+async function tempWrite(content, extension = '', options = {}) {
+  const secure = normalizeSecure(options.secure);
+  assertTtl(options.ttl);
+  assertAttempts(options.attempts);
+
+  const {
+    dir = defaultTempDir(),
+    prefix = 'temp-',
+    cleanup = true,
+    mode = 0o600,
+    attempts = DEFAULT_ATTEMPTS
+  } = options;
+
+  if (content === null || content === undefined) {
+    throw new TempValidationError('Content cannot be null or undefined');
+  }
+
+  if (typeof extension !== 'string') {
+    throw new TempValidationError('Extension must be a string');
+  }
+
+  extension = normalizeExtension(extension);
+
+  try {
+    await prepareDir(dir);
+
+    const filePath = await createUnique(
+      () => path.join(dir, generateName(prefix, extension, options.nameGenerator)),
+      candidate => fs.promises.writeFile(candidate, content, { mode, flag: 'wx' }),
+      attempts
+    );
+
+    if (cleanup) {
+      track(filePath, options, 'file', 'tempWrite', secure);
+    }
+
+    return filePath;
+  } catch (error) {
+    throw toTempError(error, 'Failed to write temporary file', dir);
+  }
+}
+
+/**
+ * Write JSON content to a temporary file asynchronously
+ * @param {Object} obj - Object to serialize as JSON
+ * @param {Object} options - Configuration options
+ * @returns {Promise<string>} Path to the created temporary JSON file
+ */
+async function tempWriteJson(obj, options = {}) {
+  return tempWrite(toJson(obj, options), '.json', asCreator(options, 'tempWriteJson'));
+}
+
+/**
+ * Write CSV content to a temporary file asynchronously
+ * @param {Array<Array>|Array<Object>} data - CSV data as array of arrays or objects
+ * @param {Object} options - Configuration options
+ * @returns {Promise<string>} Path to the created temporary CSV file
+ */
+async function tempWriteCsv(data, options = {}) {
+  return tempWrite(toCsv(data, options), '.csv', asCreator(options, 'tempWriteCsv'));
+}
+
+/**
+ * Create a temporary directory asynchronously
+ * @param {Object} options - Same options as tempDirSync
+ * @returns {Promise<string>} Path to the created temporary directory
+ */
+async function tempDir(options = {}) {
+  const secure = normalizeSecure(options.secure);
+  assertTtl(options.ttl);
+  assertAttempts(options.attempts);
+
+  const {
+    dir = defaultTempDir(),
+    prefix = 'temp-dir-',
+    cleanup = true,
+    mode = 0o700,
+    attempts = DEFAULT_ATTEMPTS
+  } = options;
+
+  try {
+    await prepareDir(dir);
+
+    const dirPath = await createUnique(
+      () => path.join(dir, generateName(prefix, '', options.nameGenerator)),
+      candidate => fs.promises.mkdir(candidate, { mode }),
+      attempts
+    );
+
+    if (cleanup) {
+      track(dirPath, options, 'dir', 'tempDir', secure);
+    }
+
+    return dirPath;
+  } catch (error) {
+    throw toTempError(error, 'Failed to create temporary directory', dir);
+  }
+}
+
+/**
+ * Copy an existing file or directory to a temporary location asynchronously
+ * @param {string} sourcePath - Path to the source file or directory
+ * @param {string} extension - Extension for temp file (ignored for directories)
+ * @param {Object} options - Same options as tempCopySync
+ * @returns {Promise<string>} Path to the temporary copy
+ */
+async function tempCopy(sourcePath, extension = '', options = {}) {
+  const secure = normalizeSecure(options.secure);
+  assertTtl(options.ttl);
+  assertAttempts(options.attempts);
+
+  const {
+    dir = defaultTempDir(),
+    prefix = 'temp-',
+    cleanup = true,
+    mode = 0o600,
+    preserveMode = false,
+    attempts = DEFAULT_ATTEMPTS
+  } = options;
+
+  const symlinks = options.symlinks || 'preserve';
+  if (!['preserve', 'follow'].includes(symlinks)) {
+    throw new TempValidationError(`Invalid symlinks mode: ${symlinks}`);
+  }
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(sourcePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new SourceNotFoundError(`Source file does not exist: ${sourcePath}`, {
+        cause: error,
+        path: sourcePath
+      });
+    }
+    throw toTempError(error, 'Failed to read source file', sourcePath);
+  }
+
+  if (stats.isDirectory()) {
+    const dirOptions = { ...options };
+    delete dirOptions.mode;
+    const root = await tempDir(asCreator(dirOptions, 'tempCopy'));
+
+    try {
+      const ancestors = [await fs.promises.realpath(sourcePath)];
+      await copyTree(sourcePath, root, '', { ...options, mode, symlinks }, ancestors);
+      if (preserveMode) {
+        await fs.promises.chmod(root, stats.mode & 0o7777);
+      }
+    } catch (error) {
+      await cleanupEntry(root, rootRegistry);
+      throw toTempError(error, 'Failed to copy directory', root);
+    }
+
+    return root;
+  }
+
+  if (!extension) {
+    extension = path.extname(sourcePath);
+  }
+
+  if (typeof extension !== 'string') {
+    throw new TempValidationError('Extension must be a string');
+  }
+
+  extension = normalizeExtension(extension);
+
+  try {
+    await prepareDir(dir);
+
+    const filePath = await createUnique(
+      () => path.join(dir, generateName(prefix, extension, options.nameGenerator)),
+      candidate => copyFileWithMode(sourcePath, candidate, preserveMode ? stats.mode : mode),
+      attempts
+    );
+
+    if (cleanup) {
+      track(filePath, options, 'file', 'tempCopy', secure);
+    }
+
+    return filePath;
+  } catch (error) {
+    throw toTempError(error, 'Failed to copy temporary file', dir);
+  }
+}
+
+/**
+ * Copy the contents of a directory into an existing directory asynchronously
+ * @param {string} sourceDir - Directory to copy from
+ * @param {string} targetDir - Directory to copy into
+ * @param {string} base - Relative path of sourceDir, with a trailing '/'
+ * @param {Object} settings - tempCopy options with mode and symlinks resolved
+ * @param {string[]} ancestors - Real paths of the directories being copied, to detect link cycles
+ * @returns {Promise<void>}
+ */
+async function copyTree(sourceDir, targetDir, base, settings, ancestors) {
+  const { mode, preserveMode, filter, symlinks } = settings;
+
+  for (const name of await fs.promises.readdir(sourceDir)) {
+    const source = path.join(sourceDir, name);
+    const target = path.join(targetDir, name);
+    const relative = base + name;
+
+    if (filter && !filter(source, relative)) {
+      continue;
+    }
+
+    let stats = await fs.promises.lstat(source);
+
+    if (stats.isSymbolicLink()) {
+      if (symlinks === 'preserve') {
+        await fs.promises.symlink(await fs.promises.readlink(source), target);
+        continue;
+      }
+      stats = await fs.promises.stat(source);
+    }
+
+    if (stats.isDirectory()) {
+      const real = await fs.promises.realpath(source);
+      if (ancestors.includes(real)) {
+        throw new TempValidationError(`Symbolic link cycle at ${source}`, { path: source });
+      }
+
+      await fs.promises.mkdir(target);
+      await copyTree(source, target, relative + '/', settings, ancestors.concat(real));
+      if (preserveMode) {
+        await fs.promises.chmod(target, stats.mode & 0o7777);
+      }
+    } else if (stats.isFile()) {
+      await copyFileWithMode(source, target, preserveMode ? stats.mode : mode);
+    }
+  }
+}
+
+/**
+ * Copy a file to a new path and set its mode asynchronously
+ * @param {string} source - File to copy
+ * @param {string} target - Destination, which must not exist
+ * @param {number} mode - Permission bits for the copy
+ * @returns {Promise<void>}
+ */
+async function copyFileWithMode(source, target, mode) {
+  await fs.promises.copyFile(source, target, fs.constants.COPYFILE_EXCL | fs.constants.COPYFILE_FICLONE);
+
+  try {
+    await fs.promises.chmod(target, mode & 0o7777);
+  } catch (error) {
+    await fs.promises.unlink(target);
+    throw error;
+  }
+}
+
+/**
+ * Write content to a temporary file with a specific name pattern asynchronously
+ * @param {string|Buffer} content - Content to write
+ * @param {string} pattern - Filename pattern; see expandPattern for the placeholders
+ * @param {Object} options - Same options as tempWritePatternSync
+ * @returns {Promise<string>} Path to the created file
+ */
+async function tempWritePattern(content, pattern, options = {}) {
+  const secure = normalizeSecure(options.secure);
+  assertTtl(options.ttl);
+  assertAttempts(options.attempts);
+
+  const { dir = defaultTempDir(), cleanup = true, mode = 0o600, attempts = DEFAULT_ATTEMPTS } = options;
+
+  const maxAttempts = isVaryingPattern(pattern) ? attempts : 1;
+
+  try {
+    await prepareDir(dir);
+
+    const filePath = await createUnique(
+      () => path.join(dir, expandPattern(pattern, options)),
+      candidate => fs.promises.writeFile(candidate, content, { mode, flag: 'wx' }),
+      maxAttempts
+    );
+
+    if (cleanup) {
+      track(filePath, options, 'file', 'tempWritePattern', secure);
+    }
+
+    return filePath;
+  } catch (error) {
+    throw toTempError(error, 'Failed to write temporary file', dir);
+  }
+}
+
+/**
+ * Manually clean up a specific temporary file or directory asynchronously
+ * @param {string} filePath - Path to the file or directory to clean up
+ * @param {Object} options - Same options as cleanupSync
+ * @returns {Promise<boolean>} True if cleanup was successful
+ */
+async function cleanup(filePath, options = {}) {
+  return (await cleanupEntry(filePath, rootRegistry, options.secure)).status !== 'failed';
+}
+
+/**
+ * Clean up all registered temporary files and directories asynchronously
+ * @returns {Promise<Object>} Same report as cleanupAllSync
+ */
+async function cleanupAll() {
+  const report = await cleanupRegistry(rootRegistry, { removed: [], missing: [], failed: [] });
+
+  if (report.failed.length === 0) {
+    removeManifest();
+  }
+  return report;
+}
+
+/**
+ * Async variant of cleanupRegistrySync
+ * @param {Object} registry - Registry to empty
+ * @param {Object} report - Report to add outcomes to
+ * @returns {Promise<Object>} The report
+ */
+async function cleanupRegistry(registry, report) {
+  for (const child of Array.from(registry.children)) {
+    await cleanupRegistry(child, report);
+  }
+
+  const filePaths = Array.from(registry.entries.keys());
+  const results = await Promise.all(filePaths.map(filePath => cleanupEntry(filePath, registry)));
+
+  filePaths.forEach((filePath, index) => addToReport(report, filePath, results[index]));
+
+  // Entries whose removal failed are dropped too, so their keys go with them
+  registry.entries.forEach(wipeKey);
+  registry.entries.clear();
+  detach(registry);
+  return report;
+}
+
+/**
+ * Async variant of cleanupEntrySync
+ * @param {string} filePath - Path to remove
+ * @param {Object} registry - Registry (with children) to unregister the path from
+ * @param {boolean|Object} secure - Overrides the entry's secure setting when given
+ * @returns {Promise<{status: string, error?: TempCleanupError}>} Outcome of the cleanup
+ */
+async function cleanupEntry(filePath, registry, secure) {
+  const shred = secureFor(registry, filePath, secure);
+  let status = 'removed';
+  let stats;
+
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      return { status: 'failed', error: reportCleanupError(filePath, error) };
+    }
+    status = 'missing';
+  }
+
+  try {
+    if (status === 'removed') {
+      if (shred) {
+        await shredPath(filePath, shred);
+      } else if (stats.isDirectory()) {
+        await fs.promises.rm(filePath, { recursive: true, force: true });
+      } else {
+        // fs.promises.rm needs Node 14.14; files only need unlink, as in cleanupEntrySync
+        await fs.promises.unlink(filePath);
+      }
+    }
+
+    forget(registry, filePath);
+  } catch (error) {
+    return { status: 'failed', error: reportCleanupError(filePath, error) };
+  }
+
+  if (status === 'removed') {
+    notify('onCleanup', filePath);
+  }
+  return { status };
+}
+
+/**
+ * Async variant of shredPathSync
+ * @param {string} target - Path to shred
+ * @param {{passes: number, fill: string}} secure - Overwrite settings
+ * @returns {Promise<void>}
+ */
+async function shredPath(target, secure) {
+  const stats = await fs.promises.lstat(target);
+
+  if (stats.isDirectory()) {
+    for (const name of await fs.promises.readdir(target)) {
+      await shredPath(path.join(target, name), secure);
+    }
+    await fs.promises.rmdir(target);
+    return;
+  }
+
+  if (stats.isFile()) {
+    if (!(stats.mode & 0o200)) {
+      await fs.promises.chmod(target, (stats.mode & 0o777) | 0o200);
+    }
+
+    const handle = await fs.promises.open(target, 'r+');
+    try {
+      const chunk = Buffer.alloc(Math.min(stats.size, SHRED_CHUNK_SIZE));
+
+      for (let pass = 0; pass < secure.passes; pass++) {
+        for (let offset = 0; offset < stats.size; offset += chunk.length) {
+          const length = Math.min(chunk.length, stats.size - offset);
+          if (secure.fill === 'random') {
+            crypto.randomFillSync(chunk, 0, length);
+          }
+          await handle.write(chunk, 0, length, offset);
+        }
+        await handle.sync();
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  await fs.promises.unlink(target);
+}
+
+/**
+ * Create a temporary file, await a callback with its path, then remove it
+ * @param {string|Buffer} content - Content to write to the file
+ * @param {string} extension - File extension (e.g., '.txt', '.json')
+ * @param {Function} fn - Callback receiving the file path, may return a promise
+ * @param {Object} options - Same options as tempWriteSync
+ * @returns {Promise<*>} Resolved value of the callback
+ */
+async function withTempFile(content, extension, fn, options = {}) {
+  const filePath = await tempWrite(content, extension, { ...options, cleanup: true });
+
+  try {
+    return await fn(filePath);
+  } finally {
+    await cleanup(filePath);
+  }
+}
+
+/**
+ * Create a temporary directory, await a callback with its path, then remove it
+ * @param {Function} fn - Callback receiving the directory path, may return a promise
+ * @param {Object} options - Same options as tempDirSync
+ * @returns {Promise<*>} Resolved value of the callback
+ */
+async function withTempDir(fn, options = {}) {
+  const dirPath = await tempDir({ ...options, cleanup: true });
+
+  try {
+    return await fn(dirPath);
+  } finally {
+    await cleanup(dirPath);
+  }
+}
+
+/**
+ * Open a write stream to a new temporary file
+ * @param {string} extension - File extension (e.g., '.txt', '.json')
+ * @param {Object} options - Same options as tempWriteSync
+ * @returns {fs.WriteStream} Stream whose `path` is already registered for cleanup
+ */
+function tempWriteStream(extension = '', options = {}) {
+  const secure = normalizeSecure(options.secure);
+  assertTtl(options.ttl);
+  assertAttempts(options.attempts);
+
+  const {
+    dir = defaultTempDir(),
+    prefix = 'temp-',
+    cleanup = true,
+    mode = 0o600,
+    attempts = DEFAULT_ATTEMPTS
+  } = options;
+
+  if (typeof extension !== 'string') {
+    throw new TempValidationError('Extension must be a string');
+  }
+
+  extension = normalizeExtension(extension);
+
+  try {
+    prepareDirSync(dir);
+
+    // Open the descriptor up front so the exclusive create can be retried synchronously
+    let fd;
+    const filePath = createUniqueSync(
+      () => path.join(dir, generateName(prefix, extension, options.nameGenerator)),
+      candidate => {
+        fd = fs.openSync(candidate, 'wx', mode);
+      },
+      attempts
+    );
+    const writeStream = fs.createWriteStream(filePath, { fd });
+
+    // Streams opened from a descriptor drop their path; restore it for callers
+    writeStream.path = filePath;
+
+    if (cleanup) {
+      track(filePath, options, 'file', 'tempWriteStream', secure);
+    }
+
+    return writeStream;
+  } catch (error) {
+    throw toTempError(error, 'Failed to write temporary file', dir);
+  }
+}
+
+/**
+ * Pipe a readable stream or (async) iterable into a new temporary file
+ * @param {stream.Readable|AsyncIterable} source - Content source
+ * @param {string} extension - File extension (e.g., '.txt', '.json')
+ * @param {Object} options - Same options as tempWriteSync
+ * @returns {Promise<string>} Path to the created temporary file
+ */
+async function tempWriteFromStream(source, extension = '', options = {}) {
+  let readable;
+
+  if (source && typeof source.pipe === 'function') {
+    readable = source;
+  } else if (source && (source[Symbol.asyncIterator] || source[Symbol.iterator])) {
+    readable = stream.Readable.from(source, { objectMode: false });
+  } else {
+    throw new TempValidationError('Source must be a readable stream or iterable');
+  }
+
+  const writeStream = tempWriteStream(extension, asCreator(options, 'tempWriteFromStream'));
+  const filePath = writeStream.path;
+
+  try {
+    await pipeline(readable, writeStream);
+    return filePath;
+  } catch (error) {
+    cleanupSync(filePath);
+    throw toTempError(error, 'Failed to write temporary file', filePath);
+  }
+}
+
+/**
+ * Atomically replace a file asynchronously
+ * @param {string} targetPath - File to create or replace
+ * @param {string|Buffer} content - Content to write
+ * @param {Object} options - Same options as writeFileAtomicSync
+ * @returns {Promise<string>} The target path
+ */
+async function writeFileAtomic(targetPath, content, options = {}) {
+  const { mode, chown = true } = options;
+
+  if (content === null || content === undefined) {
+    throw new TempValidationError('Content cannot be null or undefined');
+  }
+
+  let realTarget = targetPath;
+  let existing = null;
+  try {
+    realTarget = await resolveAtomicTarget(targetPath);
+    existing = await fs.promises.stat(realTarget);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw toTempError(error, 'Failed to write file atomically', targetPath);
+    }
+  }
+
+  const targetMode = mode !== undefined ? mode : existing && existing.mode & 0o7777;
+  const openMode = typeof targetMode === 'number' ? targetMode : 0o666;
+  let tmpPath;
+  let handle;
+
+  try {
+    tmpPath = await createUnique(
+      () => atomicTempPath(realTarget),
+      async candidate => {
+        handle = await fs.promises.open(candidate, 'wx', openMode);
+      },
+      DEFAULT_ATTEMPTS
+    );
+    track(tmpPath, {}, 'file', 'writeFileAtomic');
+
+    await handle.writeFile(content);
+    await handle.sync();
+    await handle.close();
+    handle = undefined;
+
+    if (typeof targetMode === 'number') {
+      await fs.promises.chmod(tmpPath, targetMode);
+    }
+
+    if (chown && existing && shouldChown(existing)) {
+      try {
+        await fs.promises.chown(tmpPath, existing.uid, existing.gid);
+      } catch (error) {
+        if (!isChownDenied(error)) {
+          throw error;
+        }
+      }
+    }
+
+    await fs.promises.rename(tmpPath, realTarget);
+    forget(rootRegistry, tmpPath);
+
+    return targetPath;
+  } catch (error) {
+    if (handle !== undefined) {
+      await handle.close();
+    }
+    if (tmpPath) {
+      await cleanup(tmpPath);
+    }
+    throw toTempError(error, 'Failed to write file atomically', targetPath);
+  }
+}
+
+/**
+ * Create an isolated temp context with its own registry and default options
+ * @param {Object} options - Defaults for every creator in the context (dir, prefix, mode, ...)
+ * @returns {Object} Context with write, json, csv, dir, copy, pattern, cleanup, cleanupAll,
+ *   list, has and child methods
+ */
+function createTempContext(options = {}) {
+  return buildContext(options, rootRegistry);
+}
+
+/**
+ * Build a context whose registry is a child of the given registry
+ * @param {Object} defaults - Default options for the context's creators
+ * @param {Object} parent - Parent registry
+ * @returns {Object} Context
+ */
+function buildContext(defaults, parent) {
+  const registry = createRegistry(parent);
+  const withDefaults = (callOptions = {}) => ({ ...defaults, ...callOptions, [registryKey]: registry });
+
+  return {
+    write: (content, extension, callOptions) => tempWriteSync(content, extension, withDefaults(callOptions)),
+    json: (obj, callOptions) => tempWriteJsonSync(obj, withDefaults(callOptions)),
+    csv: (data, callOptions) => tempWriteCsvSync(data, withDefaults(callOptions)),
+    dir: (callOptions) => tempDirSync(withDefaults(callOptions)),
+    tree: (spec, callOptions) => tempTreeSync(spec, withDefaults(callOptions)),
+    copy: (sourcePath, extension, callOptions) => tempCopySync(sourcePath, extension, withDefaults(callOptions)),
+    pattern: (content, pattern, callOptions) => tempWritePatternSync(content, pattern, withDefaults(callOptions)),
+    cleanup: (filePath, cleanupOptions = {}) =>
+      cleanupEntrySync(filePath, registry, cleanupOptions.secure).status !== 'failed',
+    cleanupAll: () => cleanupRegistrySync(registry, { removed: [], missing: [], failed: [] }),
+    list: () => listPaths(registry),
+    has: (filePath) => hasPath(registry, filePath),
+    child: (childOptions = {}) => buildContext({ ...defaults, ...childOptions }, registry)
+  };
 }
 
 // Export main function and utilities
 module.exports = tempWriteSync;
 module.exports.tempWriteSync = tempWriteSync;
 module.exports.tempWriteJsonSync = tempWriteJsonSync;
+module.exports.readTempJsonSync = readTempJsonSync;
 module.exports.tempWriteCsvSync = tempWriteCsvSync;
+module.exports.tempWriteNdjsonSync = tempWriteNdjsonSync;
+module.exports.tempWriteTsvSync = tempWriteTsvSync;
+module.exports.tempWriteEnvSync = tempWriteEnvSync;
+module.exports.tempWriteYamlSync = tempWriteYamlSync;
+module.exports.tempWriteIniSync = tempWriteIniSync;
+module.exports.tempWriteEncryptedSync = tempWriteEncryptedSync;
+module.exports.readTempEncryptedSync = readTempEncryptedSync;
 module.exports.tempDirSync = tempDirSync;
+module.exports.tempTreeSync = tempTreeSync;
+module.exports.readTreeSync = readTreeSync;
+module.exports.diffTreeSync = diffTreeSync;
 module.exports.tempCopySync = tempCopySync;
 module.exports.tempWritePatternSync = tempWritePatternSync;
 module.exports.cleanupSync = cleanupSync;
 module.exports.cleanupAllSync = cleanupAllSync;
 module.exports.getTempFiles = getTempFiles;
 module.exports.excludeFromCleanup = excludeFromCleanup;
-module.exports.isTempFile = isTempFile;
\ No newline at end of file
+module.exports.isTempFile = isTempFile;
+module.exports.normalizePaths = normalizePaths;
+module.exports.createSeededNameGenerator = createSeededNameGenerator;
+module.exports.configure = configure;
+module.exports.unregisterCleanup = unregisterCleanup;
+module.exports.createTempContext = createTempContext;
+module.exports.reapStaleSync = reapStaleSync;
+module.exports.sweepExpiredSync = sweepExpiredSync;
+module.exports.getTempEntries = getTempEntries;
+module.exports.getTempStats = getTempStats;
+module.exports.cleanupByTagSync = cleanupByTagSync;
+module.exports.withTempFileSync = withTempFileSync;
+module.exports.withTempDirSync = withTempDirSync;
+module.exports.tempFile = tempFile;
+module.exports.writeFileAtomicSync = writeFileAtomicSync;
+module.exports.tempWrite = tempWrite;
+module.exports.tempWriteJson = tempWriteJson;
+module.exports.tempWriteCsv = tempWriteCsv;
+module.exports.tempDir = tempDir;
+module.exports.tempCopy = tempCopy;
+module.exports.tempWritePattern = tempWritePattern;
+module.exports.cleanup = cleanup;
+module.exports.cleanupAll = cleanupAll;
+module.exports.withTempFile = withTempFile;
+module.exports.withTempDir = withTempDir;
+module.exports.tempWriteStream = tempWriteStream;
+module.exports.tempWriteFromStream = tempWriteFromStream;
+module.exports.writeFileAtomic = writeFileAtomic;
+module.exports.TempCollisionError = TempCollisionError;
+module.exports.TempWriteError = TempWriteError;
+module.exports.TempValidationError = TempValidationError;
+module.exports.TempCleanupError = TempCleanupError;
+module.exports.SourceNotFoundError = SourceNotFoundError;
\ No newline at end of file
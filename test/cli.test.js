@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'temp-write-sync.js');
+
+describe('temp-write-sync CLI', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  function run(args, input = '') {
+    return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+  }
+
+  test('create should write stdin to a file that outlives the CLI', () => {
+    const result = run(['create', '--ext', 'txt', '--prefix', 'cli-', '--dir', workDir], 'from stdin');
+    const filePath = result.stdout.trim();
+
+    expect(result.status).toBe(0);
+    expect(path.dirname(filePath)).toBe(workDir);
+    expect(path.basename(filePath)).toMatch(/^cli-.+\.txt$/);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('from stdin');
+  });
+
+  test('mkdir should create a directory', () => {
+    const result = run([`--dir=${workDir}`, 'mkdir']);
+    const dirPath = result.stdout.trim();
+
+    expect(result.status).toBe(0);
+    expect(fs.statSync(dirPath).isDirectory()).toBe(true);
+  });
+
+  test('json should pretty-print stdin', () => {
+    const result = run(['json', '--dir', workDir], '{"a":1}');
+    const filePath = result.stdout.trim();
+
+    expect(filePath.endsWith('.json')).toBe(true);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('{\n  "a": 1\n}');
+  });
+
+  test('csv should convert a JSON array', () => {
+    const result = run(['csv', '--dir', workDir, '--delimiter', ';'], '[{"name":"Ann","age":3}]');
+    const filePath = result.stdout.trim();
+
+    expect(filePath.endsWith('.csv')).toBe(true);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('"name";"age"\n"Ann";"3"');
+  });
+
+  test('clean should remove files matching the prefix', () => {
+    const stale = path.join(workDir, 'job-1.txt');
+    const kept = path.join(workDir, 'other.txt');
+    fs.writeFileSync(stale, 'x');
+    fs.writeFileSync(kept, 'x');
+
+    const result = run(['clean', '--dir', workDir, '--prefix', 'job-', '--older-than', '0']);
+
+    expect(result.status).toBe(0);
+    expect(result.stdout.trim()).toBe(stale);
+    expect(fs.existsSync(stale)).toBe(false);
+    expect(fs.existsSync(kept)).toBe(true);
+  });
+
+  test('clean should honor --older-than', () => {
+    const fresh = path.join(workDir, 'job-1.txt');
+    fs.writeFileSync(fresh, 'x');
+
+    const result = run(['clean', '--dir', workDir, '--prefix', 'job-', '--older-than', '60000']);
+
+    expect(result.status).toBe(0);
+    expect(fs.existsSync(fresh)).toBe(true);
+  });
+
+  test('clean should not reap paths from manifests', () => {
+    const manifestDir = path.join(workDir, '.temp-write-sync');
+    const recorded = path.join(workDir, 'recorded.txt');
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    fs.mkdirSync(manifestDir);
+    fs.writeFileSync(recorded, 'x');
+    fs.writeFileSync(
+      path.join(manifestDir, `${deadPid}.ndjson`),
+      JSON.stringify({ pid: deadPid, op: 'add', path: recorded }) + '\n'
+    );
+
+    const result = spawnSync(process.execPath, [CLI, 'clean', '--prefix', 'job-', '--older-than', '0'], {
+      encoding: 'utf8',
+      env: { ...process.env, TMPDIR: workDir }
+    });
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toBe('');
+    expect(fs.existsSync(recorded)).toBe(true);
+  });
+
+  test('should fail with usage on bad arguments', () => {
+    const badArgs = [
+      [],
+      ['explode'],
+      ['create', '--nope'],
+      ['clean', '--dir', workDir],
+      ['clean', '--dir', workDir, '--prefix', 'job-']
+    ];
+
+    for (const args of badArgs) {
+      const result = run(args);
+
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain('Usage: temp-write-sync');
+    }
+  });
+
+  test('should report library errors without usage', () => {
+    const result = run(['csv', '--dir', workDir], '"just a string"');
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toBe('temp-write-sync: CSV data must be an array\n');
+  });
+
+  test('--help should print usage', () => {
+    const result = run(['--help']);
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain('Commands:');
+  });
+});
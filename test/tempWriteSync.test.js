@@ -4,16 +4,63 @@ const os = require('os');
 const tempWriteSync = require('../index');
 const {
   tempWriteJsonSync,
+  readTempJsonSync,
   tempWriteCsvSync,
+  tempWriteNdjsonSync,
+  tempWriteTsvSync,
+  tempWriteEnvSync,
+  tempWriteYamlSync,
+  tempWriteIniSync,
+  tempWriteEncryptedSync,
+  readTempEncryptedSync,
   tempDirSync,
+  tempTreeSync,
+  readTreeSync,
+  diffTreeSync,
   tempCopySync,
   tempWritePatternSync,
   cleanupSync,
   cleanupAllSync,
   getTempFiles,
   excludeFromCleanup,
-  isTempFile
+  isTempFile,
+  normalizePaths,
+  createSeededNameGenerator,
+  tempWrite,
+  tempWriteJson,
+  tempWriteCsv,
+  tempDir,
+  tempCopy,
+  tempWritePattern,
+  cleanup,
+  cleanupAll,
+  withTempFileSync,
+  withTempDirSync,
+  withTempFile,
+  withTempDir,
+  tempFile,
+  tempWriteStream,
+  tempWriteFromStream,
+  writeFileAtomicSync,
+  writeFileAtomic,
+  TempCollisionError,
+  TempWriteError,
+  TempValidationError,
+  TempCleanupError,
+  SourceNotFoundError,
+  configure,
+  unregisterCleanup,
+  createTempContext,
+  reapStaleSync,
+  sweepExpiredSync,
+  getTempEntries,
+  getTempStats,
+  cleanupByTagSync
 } = require('../index');
+const { spawnSync } = require('child_process');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const net = require('net');
 
 describe('temp-write-sync', () => {
   let createdFiles = [];
@@ -180,8 +227,91 @@ describe('temp-write-sync', () => {
     });
 
     test('should throw error for invalid input', () => {
-      expect(() => tempWriteJsonSync(null)).toThrow('Input must be a valid object');
-      expect(() => tempWriteJsonSync('string')).toThrow('Input must be a valid object');
+      expect(() => tempWriteJsonSync(undefined)).toThrow('Input must be a JSON-serializable value');
+      expect(() => tempWriteJsonSync(() => {})).toThrow('Input must be a JSON-serializable value');
+    });
+
+    test('should write top-level primitives', () => {
+      const stringPath = tempWriteJsonSync('text');
+      const nullPath = tempWriteJsonSync(null);
+      createdFiles.push(stringPath, nullPath);
+
+      expect(fs.readFileSync(stringPath, 'utf8')).toBe('"text"');
+      expect(fs.readFileSync(nullPath, 'utf8')).toBe('null');
+    });
+
+    test('should support minified, sorted output with a trailing newline', () => {
+      const filePath = tempWriteJsonSync(
+        { b: 1, a: { d: [{ z: 1, y: 2 }], c: 3 } },
+        { indent: 0, sortKeys: true, trailingNewline: true }
+      );
+      createdFiles.push(filePath);
+
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('{"a":{"c":3,"d":[{"y":2,"z":1}]},"b":1}\n');
+    });
+
+    test('should apply a replacer', () => {
+      const filePath = tempWriteJsonSync(
+        { keep: 1, drop: 2, nested: { keep: 3, drop: 4 } },
+        { indent: 0, replacer: (key, value) => (key === 'drop' ? undefined : value) }
+      );
+      createdFiles.push(filePath);
+
+      expect(readTempJsonSync(filePath)).toEqual({ keep: 1, nested: { keep: 3 } });
+    });
+
+    test('should reject or replace circular references', () => {
+      const obj = { name: 'root', child: {} };
+      obj.child.parent = obj;
+
+      expect(() => tempWriteJsonSync(obj)).toThrow(TempValidationError);
+
+      const filePath = tempWriteJsonSync(obj, { circular: 'replace' });
+      createdFiles.push(filePath);
+      expect(readTempJsonSync(filePath)).toEqual({ name: 'root', child: { parent: '[Circular]' } });
+    });
+
+    test('should not treat repeated references as circular', () => {
+      const shared = { x: 1 };
+      const filePath = tempWriteJsonSync({ a: shared, b: [shared] });
+      createdFiles.push(filePath);
+
+      expect(readTempJsonSync(filePath)).toEqual({ a: { x: 1 }, b: [{ x: 1 }] });
+    });
+
+    test('should reject or stringify BigInt values', () => {
+      expect(() => tempWriteJsonSync({ id: BigInt(1) })).toThrow(TempValidationError);
+
+      const filePath = tempWriteJsonSync({ id: BigInt('9007199254740993') }, { bigint: 'string' });
+      createdFiles.push(filePath);
+      expect(readTempJsonSync(filePath)).toEqual({ id: '9007199254740993' });
+    });
+  });
+
+  describe('readTempJsonSync', () => {
+    test('should round-trip with a reviver', () => {
+      const filePath = tempWriteJsonSync({ when: new Date(0) });
+      createdFiles.push(filePath);
+
+      const parsed = readTempJsonSync(filePath, {
+        reviver: (key, value) => (key === 'when' ? new Date(value) : value)
+      });
+      expect(parsed.when).toEqual(new Date(0));
+    });
+
+    test('should report missing files and invalid JSON', () => {
+      const filePath = tempWriteSync('{not json', '.json');
+      createdFiles.push(filePath);
+
+      expect(() => readTempJsonSync(path.join(os.tmpdir(), 'missing-temp.json'))).toThrow(SourceNotFoundError);
+      try {
+        readTempJsonSync(filePath);
+        throw new Error('expected readTempJsonSync to throw');
+      } catch (error) {
+        expect(error).toBeInstanceOf(TempValidationError);
+        expect(error.path).toBe(filePath);
+        expect(error.cause).toBeInstanceOf(SyntaxError);
+      }
     });
   });
 
@@ -250,6 +380,65 @@ describe('temp-write-sync', () => {
       expect(() => tempWriteCsvSync('not an array')).toThrow('CSV data must be an array');
       expect(() => tempWriteCsvSync(['invalid item'])).toThrow('Invalid CSV data format');
     });
+
+    function csvOf(data, options) {
+      const filePath = tempWriteCsvSync(data, options);
+      createdFiles.push(filePath);
+      return fs.readFileSync(filePath, 'utf8');
+    }
+
+    test('should keep falsy values and use the union of keys', () => {
+      const data = [
+        { id: 0, active: false },
+        { id: 1, name: 'Ann' }
+      ];
+
+      expect(csvOf(data)).toBe('"id","active","name"\n"0","false",""\n"1","","Ann"');
+    });
+
+    test('should select and rename columns', () => {
+      const data = [{ id: 1, name: 'Ann', secret: 'x' }];
+      const columns = ['id', { key: 'name', header: 'Full name' }];
+
+      expect(csvOf(data, { columns })).toBe('"id","Full name"\n"1","Ann"');
+    });
+
+    test('should quote only when needed', () => {
+      const data = [['plain', 'a,b', 'say "hi"', 'two\nlines']];
+
+      expect(csvOf(data, { quote: 'needed' })).toBe('plain,"a,b","say ""hi""","two\nlines"');
+      expect(csvOf([['a;b', 'c,d']], { quote: 'needed', delimiter: ';' })).toBe('"a;b";c,d');
+    });
+
+    test('should never quote when asked', () => {
+      expect(csvOf([['a', 'b c']], { quote: 'never' })).toBe('a,b c');
+      expect(() => tempWriteCsvSync([['a']], { quote: 'sometimes' })).toThrow('Invalid CSV quote mode');
+    });
+
+    test('should support CRLF line endings, a BOM and no header', () => {
+      const data = [{ a: 1 }, { a: 2 }];
+
+      expect(csvOf(data, { lineEnding: '\r\n', header: false, quote: 'needed' })).toBe('1\r\n2');
+      expect(csvOf(data, { bom: true, quote: 'needed' })).toBe('\uFEFFa\n1\n2');
+    });
+
+    test('should format dates, nested objects and nulls', () => {
+      const date = new Date('2024-01-02T03:04:05.000Z');
+      const data = [{ when: date, meta: { tags: ['x'] }, missing: null }];
+
+      expect(csvOf(data, { quote: 'needed' }))
+        .toBe('when,meta,missing\n2024-01-02T03:04:05.000Z,"{""tags"":[""x""]}",');
+      expect(csvOf(data, {
+        quote: 'never',
+        header: false,
+        formatters: { date: d => d.getUTCFullYear(), object: () => 'obj', null: () => 'NULL' }
+      })).toBe('2024,obj,NULL');
+    });
+
+    test('should reject invalid columns', () => {
+      expect(() => tempWriteCsvSync([{ a: 1 }], { columns: 'a' })).toThrow('CSV columns must be an array');
+      expect(() => tempWriteCsvSync([{ a: 1 }], { columns: [1] })).toThrow(TempValidationError);
+    });
   });
 
   describe('tempDirSync', () => {
@@ -304,6 +493,101 @@ describe('temp-write-sync', () => {
       expect(() => tempCopySync('/non/existent/file.txt'))
         .toThrow('Source file does not exist');
     });
+
+    test('should apply mode or preserve the source mode', () => {
+      const { root, files } = tempTreeSync({ 'run.sh': { content: '#!/bin/sh', mode: 0o750 } });
+      createdFiles.push(root);
+
+      const copied = tempCopySync(files['run.sh']);
+      const preserved = tempCopySync(files['run.sh'], '', { preserveMode: true });
+      createdFiles.push(copied, preserved);
+
+      expect(fs.readFileSync(copied, 'utf8')).toBe('#!/bin/sh');
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(copied).mode & 0o777).toBe(0o600);
+        expect(fs.statSync(preserved).mode & 0o777).toBe(0o750);
+      }
+    });
+
+    test('should copy directories recursively and register only the root', () => {
+      const { root: source } = tempTreeSync({
+        'a.txt': 'a',
+        'nested/': { 'b.txt': 'b', 'deeper/': { 'c.txt': 'c' } },
+        'empty/': null
+      });
+      createdFiles.push(source);
+
+      const copy = tempCopySync(source, '.ignored');
+
+      expect(fs.statSync(copy).isDirectory()).toBe(true);
+      expect(readTreeSync(copy)).toEqual(readTreeSync(source));
+      expect(isTempFile(copy)).toBe(true);
+      expect(isTempFile(path.join(copy, 'a.txt'))).toBe(false);
+
+      cleanupSync(copy);
+      expect(fs.existsSync(copy)).toBe(false);
+    });
+
+    test('should apply mode to copied files but not to the directory root', () => {
+      const { root: source } = tempTreeSync({ 'a.txt': 'a' });
+      createdFiles.push(source);
+
+      const copy = tempCopySync(source, '', { mode: 0o644 });
+      createdFiles.push(copy);
+
+      expect(fs.readdirSync(copy)).toEqual(['a.txt']);
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(copy).mode & 0o777).toBe(0o700);
+        expect(fs.statSync(path.join(copy, 'a.txt')).mode & 0o777).toBe(0o644);
+      }
+    });
+
+    test('should skip entries rejected by filter', () => {
+      const { root: source } = tempTreeSync({
+        'keep.txt': 'k',
+        'skip.log': 's',
+        'node_modules/': { 'dep.js': '' }
+      });
+      createdFiles.push(source);
+      const seen = [];
+
+      const copy = tempCopySync(source, '', {
+        filter: (sourcePath, relativePath) => {
+          seen.push(relativePath);
+          return !relativePath.endsWith('.log') && relativePath !== 'node_modules';
+        }
+      });
+      createdFiles.push(copy);
+
+      expect(readTreeSync(copy)).toEqual({ 'keep.txt': 'k' });
+      expect(seen).not.toContain('node_modules/dep.js');
+    });
+
+    test('should preserve or follow symbolic links', () => {
+      const { root: source } = tempTreeSync({
+        'target.txt': 'target',
+        'link.txt': { symlink: 'target.txt' }
+      });
+      createdFiles.push(source);
+
+      const preserved = tempCopySync(source);
+      const followed = tempCopySync(source, '', { symlinks: 'follow' });
+      createdFiles.push(preserved, followed);
+
+      expect(fs.readlinkSync(path.join(preserved, 'link.txt'))).toBe('target.txt');
+      expect(fs.lstatSync(path.join(followed, 'link.txt')).isSymbolicLink()).toBe(false);
+      expect(fs.readFileSync(path.join(followed, 'link.txt'), 'utf8')).toBe('target');
+      expect(() => tempCopySync(source, '', { symlinks: 'copy' })).toThrow(TempValidationError);
+    });
+
+    test('should reject link cycles when following links', () => {
+      const { root: source } = tempTreeSync({ 'sub/': { 'loop': { symlink: '..' } } });
+      createdFiles.push(source);
+      const before = getTempFiles().length;
+
+      expect(() => tempCopySync(source, '', { symlinks: 'follow' })).toThrow(TempValidationError);
+      expect(getTempFiles()).toHaveLength(before);
+    });
   });
 
   describe('tempWritePatternSync', () => {
@@ -324,6 +608,56 @@ describe('temp-write-sync', () => {
       const fileName = path.basename(filePath);
       expect(fileName).toMatch(/^\w+-\w+-file\.txt$/);
     });
+
+    test('should replace every occurrence of a placeholder', () => {
+      const filePath = tempWritePatternSync('content', '{random:4}-{random:4}-{pid}-{pid}.txt');
+      createdFiles.push(filePath);
+
+      expect(path.basename(filePath)).toMatch(
+        new RegExp(`^[0-9a-f]{4}-[0-9a-f]{4}-${process.pid}-${process.pid}\\.txt$`)
+      );
+    });
+
+    test('should expand uuid, counter, date, ext and custom variables', () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date(2024, 4, 1, 9, 5, 7));
+
+      try {
+        const first = tempWritePatternSync('a', '{name}-{date}-{date:YYYY-MM-DD_HHmmss}-{counter}{ext}', {
+          ext: 'csv',
+          vars: { name: 'report' }
+        });
+        const second = tempWritePatternSync('b', '{name}-{counter}', { vars: { name: 'report' } });
+        const withUuid = tempWritePatternSync('c', '{uuid}');
+        createdFiles.push(first, second, withUuid);
+
+        const match = path.basename(first).match(/^report-20240501-2024-05-01_090507-(\d+)\.csv$/);
+        expect(match).not.toBeNull();
+        expect(path.basename(second)).toBe(`report-${Number(match[1]) + 1}`);
+        expect(path.basename(withUuid)).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should honor prefix and mode', () => {
+      const filePath = tempWritePatternSync('content', 'data-{random}.txt', { prefix: 'pre-', mode: 0o640 });
+      createdFiles.push(filePath);
+
+      expect(path.basename(filePath)).toMatch(/^pre-data-[0-9a-f]{12}\.txt$/);
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(filePath).mode & 0o777).toBe(0o640 & ~process.umask());
+      }
+    });
+
+    test('should reject names that leave the temp directory', () => {
+      expect(() => tempWritePatternSync('x', '../escape-{random}.txt')).toThrow(TempValidationError);
+      expect(() => tempWritePatternSync('x', 'sub/{random}.txt')).toThrow(TempValidationError);
+      expect(() => tempWritePatternSync('x', '{name}.txt', { vars: { name: '../../etc' } }))
+        .toThrow(TempValidationError);
+      expect(() => tempWritePatternSync('x', '{missing}.txt')).toThrow('Unknown pattern placeholder: {missing}');
+      expect(() => tempWritePatternSync('x', '{random:0}')).toThrow(TempValidationError);
+    });
   });
 
   describe('cleanup functions', () => {
@@ -347,9 +681,10 @@ describe('temp-write-sync', () => {
       expect(getTempFiles()).toContain(file1);
       expect(getTempFiles()).toContain(file2);
       
-      const count = cleanupAllSync();
+      const report = cleanupAllSync();
       
-      expect(count).toBe(2);
+      expect(report.removed).toEqual(expect.arrayContaining([file1, file2]));
+      expect(report.removed).toHaveLength(2);
       expect(fs.existsSync(file1)).toBe(false);
       expect(fs.existsSync(file2)).toBe(false);
       expect(getTempFiles()).toHaveLength(0);
@@ -435,4 +770,1857 @@ describe('temp-write-sync', () => {
       expect(fs.existsSync(filePath)).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('async API', () => {
+    test('tempWrite should create and register a file', async () => {
+      const filePath = await tempWrite('async content', 'txt');
+
+      createdFiles.push(filePath);
+
+      expect(filePath.endsWith('.txt')).toBe(true);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('async content');
+      expect(isTempFile(filePath)).toBe(true);
+    });
+
+    test('tempWrite should reject invalid input', async () => {
+      await expect(tempWrite(null)).rejects.toThrow('Content cannot be null or undefined');
+      await expect(tempWrite('content', 123)).rejects.toThrow('Extension must be a string');
+    });
+
+    test('tempWriteJson and tempWriteCsv should serialize content', async () => {
+      const jsonPath = await tempWriteJson({ key: 'value' });
+      const csvPath = await tempWriteCsv([['A', 'B'], ['1', '2']]);
+
+      createdFiles.push(jsonPath, csvPath);
+
+      expect(JSON.parse(fs.readFileSync(jsonPath, 'utf8'))).toEqual({ key: 'value' });
+      expect(fs.readFileSync(csvPath, 'utf8')).toBe('"A","B"\n"1","2"');
+      await expect(tempWriteJson(undefined)).rejects.toThrow('Input must be a JSON-serializable value');
+    });
+
+    test('tempDir should create a registered directory', async () => {
+      const dirPath = await tempDir({ prefix: 'async-dir-' });
+
+      createdFiles.push(dirPath);
+
+      expect(fs.statSync(dirPath).isDirectory()).toBe(true);
+      expect(path.basename(dirPath).startsWith('async-dir-')).toBe(true);
+      expect(getTempFiles()).toContain(dirPath);
+    });
+
+    test('tempCopy should copy an existing file', async () => {
+      const sourcePath = path.join(os.tmpdir(), 'async-source-test.md');
+      fs.writeFileSync(sourcePath, 'copied');
+      createdFiles.push(sourcePath);
+
+      const tempPath = await tempCopy(sourcePath);
+      createdFiles.push(tempPath);
+
+      expect(tempPath.endsWith('.md')).toBe(true);
+      expect(fs.readFileSync(tempPath, 'utf8')).toBe('copied');
+      await expect(tempCopy('/non/existent/file.txt')).rejects.toThrow('Source file does not exist');
+    });
+
+    test('tempCopy should copy directories with the tempCopySync options', async () => {
+      const { root: source } = tempTreeSync({
+        'run.sh': { content: '#!/bin/sh', mode: 0o750 },
+        'skip.log': 's',
+        'nested/': { 'b.txt': 'b' },
+        'link.txt': { symlink: 'nested/b.txt' }
+      });
+      createdFiles.push(source);
+
+      const copy = await tempCopy(source, '', {
+        filter: (sourcePath, relativePath) => !relativePath.endsWith('.log'),
+        preserveMode: true
+      });
+      const followed = await tempCopy(source, '', { symlinks: 'follow', mode: 0o640 });
+      createdFiles.push(copy, followed);
+
+      expect(getTempFiles()).toEqual(expect.arrayContaining([copy, followed]));
+      expect(fs.readdirSync(copy).sort()).toEqual(['link.txt', 'nested', 'run.sh']);
+      expect(fs.readlinkSync(path.join(copy, 'link.txt'))).toBe('nested/b.txt');
+      expect(fs.lstatSync(path.join(followed, 'link.txt')).isSymbolicLink()).toBe(false);
+      expect(fs.readFileSync(path.join(followed, 'link.txt'), 'utf8')).toBe('b');
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(path.join(copy, 'run.sh')).mode & 0o777).toBe(0o750);
+        expect(fs.statSync(path.join(followed, 'run.sh')).mode & 0o777).toBe(0o640);
+        expect(fs.statSync(followed).mode & 0o777).toBe(0o700);
+      }
+      await expect(tempCopy(source, '', { symlinks: 'copy' })).rejects.toThrow(TempValidationError);
+    });
+
+    test('tempWritePattern should apply the pattern', async () => {
+      const filePath = await tempWritePattern('content', 'async-{random}.txt');
+
+      createdFiles.push(filePath);
+
+      expect(path.basename(filePath)).toMatch(/^async-.+\.txt$/);
+    });
+
+    test('cleanup should remove a file and untrack it', async () => {
+      const filePath = await tempWrite('content', '.txt');
+
+      await expect(cleanup(filePath)).resolves.toBe(true);
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(isTempFile(filePath)).toBe(false);
+    });
+
+    test('cleanup should remove files without fs.promises.rm, which Node 12 lacks', async () => {
+      const filePath = await tempWrite('content', '.txt');
+      const rm = jest.spyOn(fs.promises, 'rm').mockRejectedValue(new TypeError('fs.promises.rm is not a function'));
+
+      try {
+        await expect(cleanup(filePath)).resolves.toBe(true);
+      } finally {
+        rm.mockRestore();
+      }
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    test('cleanupAll should remove sync and async files alike', async () => {
+      const file1 = tempWriteSync('sync', '.txt');
+      const file2 = await tempWrite('async', '.txt');
+      const dir = await tempDir();
+
+      const report = await cleanupAll();
+
+      expect(report.removed).toEqual(expect.arrayContaining([file1, file2, dir]));
+      expect(report.removed).toHaveLength(3);
+      expect(fs.existsSync(file1)).toBe(false);
+      expect(fs.existsSync(file2)).toBe(false);
+      expect(fs.existsSync(dir)).toBe(false);
+      expect(getTempFiles()).toHaveLength(0);
+    });
+  });
+
+  describe('scoped helpers', () => {
+    test('withTempFileSync should expose the file then remove it', () => {
+      let seen;
+      const result = withTempFileSync('scoped', '.txt', filePath => {
+        seen = filePath;
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('scoped');
+        expect(isTempFile(filePath)).toBe(true);
+        expect(getTempFiles()).toContain(filePath);
+        return 42;
+      });
+
+      expect(result).toBe(42);
+      expect(fs.existsSync(seen)).toBe(false);
+      expect(isTempFile(seen)).toBe(false);
+    });
+
+    test('withTempDirSync should remove the directory when the callback throws', () => {
+      let seen;
+
+      expect(() => withTempDirSync(dirPath => {
+        seen = dirPath;
+        fs.writeFileSync(path.join(dirPath, 'inner.txt'), 'x');
+        throw new Error('boom');
+      })).toThrow('boom');
+
+      expect(fs.existsSync(seen)).toBe(false);
+      expect(isTempFile(seen)).toBe(false);
+    });
+
+    test('withTempFile should await the callback before removing the file', async () => {
+      let seen;
+      const result = await withTempFile('scoped', '.txt', async filePath => {
+        seen = filePath;
+        return fs.promises.readFile(filePath, 'utf8');
+      });
+
+      expect(result).toBe('scoped');
+      expect(fs.existsSync(seen)).toBe(false);
+    });
+
+    test('withTempDir should remove the directory when the callback rejects', async () => {
+      let seen;
+
+      await expect(withTempDir(async dirPath => {
+        seen = dirPath;
+        expect(isTempFile(dirPath)).toBe(true);
+        throw new Error('rejected');
+      })).rejects.toThrow('rejected');
+
+      expect(fs.existsSync(seen)).toBe(false);
+      expect(isTempFile(seen)).toBe(false);
+    });
+  });
+
+  describe('tempFile', () => {
+    const dispose = Symbol.dispose || Symbol.for('Symbol.dispose');
+    const asyncDispose = Symbol.asyncDispose || Symbol.for('Symbol.asyncDispose');
+
+    test('should expose the registered path', () => {
+      const handle = tempFile('data', '.txt');
+
+      createdFiles.push(handle.path);
+
+      expect(fs.readFileSync(handle.path, 'utf8')).toBe('data');
+      expect(isTempFile(handle.path)).toBe(true);
+    });
+
+    test('dispose should remove the file', () => {
+      const handle = tempFile('data', '.txt');
+
+      handle[dispose]();
+
+      expect(fs.existsSync(handle.path)).toBe(false);
+      expect(isTempFile(handle.path)).toBe(false);
+    });
+
+    test('asyncDispose should remove the file', async () => {
+      const handle = tempFile('data', '.txt');
+
+      await handle[asyncDispose]();
+
+      expect(fs.existsSync(handle.path)).toBe(false);
+      expect(isTempFile(handle.path)).toBe(false);
+    });
+  });
+
+  describe('streaming writes', () => {
+    test('tempWriteStream should return a registered write stream', async () => {
+      const writeStream = tempWriteStream('.log', { prefix: 'stream-' });
+
+      createdFiles.push(writeStream.path);
+
+      expect(isTempFile(writeStream.path)).toBe(true);
+      expect(path.basename(writeStream.path).startsWith('stream-')).toBe(true);
+
+      await new Promise((resolve, reject) => {
+        writeStream.on('error', reject);
+        writeStream.end('line 1\nline 2', resolve);
+      });
+
+      expect(fs.readFileSync(writeStream.path, 'utf8')).toBe('line 1\nline 2');
+    });
+
+    test('tempWriteFromStream should pipe a Readable into a temp file', async () => {
+      const filePath = await tempWriteFromStream(Readable.from(['a', 'b', 'c']), 'txt');
+
+      createdFiles.push(filePath);
+
+      expect(filePath.endsWith('.txt')).toBe(true);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('abc');
+      expect(isTempFile(filePath)).toBe(true);
+    });
+
+    test('tempWriteFromStream should accept an async iterable', async () => {
+      async function* generate() {
+        yield 'chunk-1,';
+        yield Buffer.from('chunk-2');
+      }
+
+      const filePath = await tempWriteFromStream(generate(), '.txt');
+
+      createdFiles.push(filePath);
+
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('chunk-1,chunk-2');
+    });
+
+    test('tempWriteFromStream should remove the file when the source fails', async () => {
+      const before = getTempFiles().length;
+
+      async function* failing() {
+        yield 'partial';
+        throw new Error('source broke');
+      }
+
+      await expect(tempWriteFromStream(failing(), '.txt')).rejects.toThrow('source broke');
+      expect(getTempFiles()).toHaveLength(before);
+    });
+
+    test('tempWriteFromStream should reject invalid sources', async () => {
+      await expect(tempWriteFromStream(42)).rejects.toThrow('Source must be a readable stream or iterable');
+    });
+  });
+
+  describe('atomic writes', () => {
+    let workDir;
+
+    beforeEach(() => {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-test-'));
+      createdFiles.push(workDir);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('writeFileAtomicSync should create a new file', () => {
+      const target = path.join(workDir, 'config.json');
+
+      expect(writeFileAtomicSync(target, '{"a":1}')).toBe(target);
+      expect(fs.readFileSync(target, 'utf8')).toBe('{"a":1}');
+      expect(fs.readdirSync(workDir)).toEqual(['config.json']);
+    });
+
+    test('writeFileAtomicSync should replace a file and keep its mode', () => {
+      const target = path.join(workDir, 'config.ini');
+      fs.writeFileSync(target, 'old');
+      fs.chmodSync(target, 0o640);
+
+      writeFileAtomicSync(target, 'new');
+
+      expect(fs.readFileSync(target, 'utf8')).toBe('new');
+      expect(fs.statSync(target).mode & 0o777).toBe(0o640);
+      expect(getTempFiles().some(p => p.startsWith(workDir))).toBe(false);
+    });
+
+    test('writeFileAtomicSync should honor an explicit mode', () => {
+      const target = path.join(workDir, 'script.sh');
+
+      writeFileAtomicSync(target, '#!/bin/sh', { mode: 0o755 });
+
+      expect(fs.statSync(target).mode & 0o777).toBe(0o755);
+    });
+
+    test('writeFileAtomicSync should remove the temp file on failure', () => {
+      const target = path.join(workDir, 'occupied');
+      fs.mkdirSync(target);
+      fs.writeFileSync(path.join(target, 'inner'), 'x');
+
+      expect(() => writeFileAtomicSync(target, 'content')).toThrow('Failed to write file atomically');
+      expect(fs.readdirSync(workDir)).toEqual(['occupied']);
+      expect(getTempFiles().some(p => p.startsWith(workDir))).toBe(false);
+    });
+
+    test('writeFileAtomic functions should still replace files they cannot chown', async () => {
+      if (typeof process.getuid !== 'function') {
+        return;
+      }
+
+      const target = path.join(workDir, 'shared.txt');
+      fs.writeFileSync(target, 'old');
+      const denied = () => Object.assign(new Error('operation not permitted'), { code: 'EPERM' });
+      jest.spyOn(process, 'getuid').mockReturnValue(fs.statSync(target).uid + 1);
+      jest.spyOn(fs, 'chownSync').mockImplementation(() => {
+        throw denied();
+      });
+      jest.spyOn(fs.promises, 'chown').mockRejectedValue(denied());
+
+      writeFileAtomicSync(target, 'sync');
+      expect(fs.readFileSync(target, 'utf8')).toBe('sync');
+
+      await writeFileAtomic(target, 'async');
+      expect(fs.readFileSync(target, 'utf8')).toBe('async');
+      expect(fs.readdirSync(workDir)).toEqual(['shared.txt']);
+    });
+
+    test('writeFileAtomic functions should write through symbolic links', async () => {
+      const target = path.join(workDir, 'real.txt');
+      const link = path.join(workDir, 'link.txt');
+      fs.writeFileSync(target, 'old');
+      fs.symlinkSync('real.txt', link);
+
+      expect(writeFileAtomicSync(link, 'sync')).toBe(link);
+      expect(fs.lstatSync(link).isSymbolicLink()).toBe(true);
+      expect(fs.readFileSync(target, 'utf8')).toBe('sync');
+
+      await expect(writeFileAtomic(link, 'async')).resolves.toBe(link);
+      expect(fs.lstatSync(link).isSymbolicLink()).toBe(true);
+      expect(fs.readFileSync(target, 'utf8')).toBe('async');
+      expect(fs.readdirSync(workDir).sort()).toEqual(['link.txt', 'real.txt']);
+    });
+
+    test('writeFileAtomic functions should create the target of a dangling link', async () => {
+      const link = path.join(workDir, 'dangling.txt');
+      const chained = path.join(workDir, 'chained.txt');
+      fs.mkdirSync(path.join(workDir, 'sub'));
+      fs.symlinkSync('sub/created.txt', link);
+      fs.symlinkSync('dangling.txt', chained);
+
+      writeFileAtomicSync(link, 'sync');
+      expect(fs.lstatSync(link).isSymbolicLink()).toBe(true);
+      expect(fs.readFileSync(path.join(workDir, 'sub', 'created.txt'), 'utf8')).toBe('sync');
+
+      fs.unlinkSync(path.join(workDir, 'sub', 'created.txt'));
+      await writeFileAtomic(chained, 'async');
+      expect(fs.lstatSync(chained).isSymbolicLink()).toBe(true);
+      expect(fs.lstatSync(link).isSymbolicLink()).toBe(true);
+      expect(fs.readFileSync(path.join(workDir, 'sub', 'created.txt'), 'utf8')).toBe('async');
+      expect(fs.readdirSync(path.join(workDir, 'sub'))).toEqual(['created.txt']);
+    });
+
+    test('writeFileAtomicSync should reject null content', () => {
+      expect(() => writeFileAtomicSync(path.join(workDir, 'x'), null))
+        .toThrow('Content cannot be null or undefined');
+    });
+
+    test('writeFileAtomic should replace a file asynchronously', async () => {
+      const target = path.join(workDir, 'data.txt');
+      fs.writeFileSync(target, 'old');
+      fs.chmodSync(target, 0o600);
+
+      await expect(writeFileAtomic(target, Buffer.from('new'))).resolves.toBe(target);
+
+      expect(fs.readFileSync(target, 'utf8')).toBe('new');
+      expect(fs.statSync(target).mode & 0o777).toBe(0o600);
+      expect(fs.readdirSync(workDir)).toEqual(['data.txt']);
+    });
+
+    test('writeFileAtomic should remove the temp file on failure', async () => {
+      const target = path.join(workDir, 'occupied');
+      fs.mkdirSync(target);
+      fs.writeFileSync(path.join(target, 'inner'), 'x');
+
+      await expect(writeFileAtomic(target, 'content')).rejects.toThrow('Failed to write file atomically');
+      expect(fs.readdirSync(workDir)).toEqual(['occupied']);
+    });
+  });
+
+  describe('collision-safe creation', () => {
+    let workDir;
+
+    beforeEach(() => {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collision-test-'));
+      createdFiles.push(workDir);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    function freezeNames() {
+      jest.spyOn(Date, 'now').mockReturnValue(0);
+      return jest.spyOn(crypto, 'randomBytes').mockReturnValue(Buffer.alloc(6));
+    }
+
+    test('tempWritePatternSync should not overwrite a fixed name', () => {
+      const first = tempWritePatternSync('original', 'fixed.txt', { dir: workDir });
+
+      let error;
+      try {
+        tempWritePatternSync('replacement', 'fixed.txt', { dir: workDir });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(TempCollisionError);
+      expect(error.code).toBe('ERR_TEMP_COLLISION');
+      expect(error.path).toBe(first);
+      expect(error.attempts).toBe(1);
+      expect(fs.readFileSync(first, 'utf8')).toBe('original');
+    });
+
+    test('tempWriteSync should retry with a new name on EEXIST', () => {
+      const randomBytes = jest.requireActual('crypto').randomBytes;
+      const first = tempWriteSync('first', '.txt', { dir: workDir });
+
+      // Reproduce the first name once, then fall back to real randomness
+      jest.spyOn(Date, 'now').mockReturnValueOnce(parseInt(path.basename(first).split('-')[1], 36));
+      jest.spyOn(crypto, 'randomBytes')
+        .mockReturnValueOnce(Buffer.from(path.basename(first, '.txt').split('-')[2], 'hex'))
+        .mockImplementation(randomBytes);
+
+      const second = tempWriteSync('second', '.txt', { dir: workDir });
+
+      expect(second).not.toBe(first);
+      expect(fs.readFileSync(first, 'utf8')).toBe('first');
+      expect(fs.readFileSync(second, 'utf8')).toBe('second');
+    });
+
+    test('tempWriteSync should give up after the configured attempts', () => {
+      const randomBytes = freezeNames();
+      tempWriteSync('first', '.txt', { dir: workDir });
+
+      expect(() => tempWriteSync('second', '.txt', { dir: workDir, attempts: 3 }))
+        .toThrow(TempCollisionError);
+      expect(randomBytes).toHaveBeenCalledTimes(4);
+    });
+
+    test('creators should reject attempts that are not positive integers', async () => {
+      for (const attempts of [0, -1, 1.5, '3', NaN]) {
+        expect(() => tempWriteSync('x', '.txt', { dir: workDir, attempts })).toThrow(TempValidationError);
+        expect(() => tempDirSync({ dir: workDir, attempts })).toThrow('attempts must be a positive integer');
+        expect(() => tempWritePatternSync('x', '{random}', { dir: workDir, attempts }))
+          .toThrow(TempValidationError);
+        await expect(tempWrite('x', '.txt', { dir: workDir, attempts })).rejects.toThrow(TempValidationError);
+      }
+      expect(fs.readdirSync(workDir)).toEqual([]);
+    });
+
+    test('tempDirSync should not reuse an existing directory', () => {
+      freezeNames();
+      tempDirSync({ dir: workDir });
+
+      expect(() => tempDirSync({ dir: workDir, attempts: 2 })).toThrow(TempCollisionError);
+    });
+
+    test('async creators should reject with TempCollisionError', async () => {
+      freezeNames();
+      await tempWrite('first', '.txt', { dir: workDir });
+      await tempDir({ dir: workDir });
+
+      await expect(tempWrite('second', '.txt', { dir: workDir, attempts: 2 }))
+        .rejects.toBeInstanceOf(TempCollisionError);
+      await expect(tempDir({ dir: workDir, attempts: 2 }))
+        .rejects.toBeInstanceOf(TempCollisionError);
+      await expect(tempWritePattern('x', 'fixed', { dir: workDir }))
+        .resolves.toBe(path.join(workDir, 'fixed'));
+      await expect(tempWritePattern('x', 'fixed', { dir: workDir }))
+        .rejects.toBeInstanceOf(TempCollisionError);
+    });
+  });
+
+  describe('error classes', () => {
+    test('validation failures should throw TempValidationError', () => {
+      let error;
+      try {
+        tempWriteSync(null);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(TempValidationError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('TempValidationError');
+      expect(error.code).toBe('ERR_TEMP_VALIDATION');
+      expect(() => tempWriteJsonSync(undefined)).toThrow(TempValidationError);
+      expect(() => tempWriteCsvSync('nope')).toThrow(TempValidationError);
+    });
+
+    test('write failures should keep the original error as cause', () => {
+      const blocker = tempWriteSync('not a directory', '.txt');
+      const dir = path.join(blocker, 'child');
+
+      let error;
+      try {
+        tempWriteSync('content', '.txt', { dir });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(TempWriteError);
+      expect(error.code).toBe('ERR_TEMP_WRITE');
+      expect(error.message).toMatch(/^Failed to write temporary file: /);
+      expect(error.cause.code).toBe('ENOTDIR');
+      expect(error.path).toBeTruthy();
+    });
+
+    test('directory failures should throw TempWriteError', async () => {
+      const blocker = tempWriteSync('not a directory', '.txt');
+
+      expect(() => tempDirSync({ dir: blocker })).toThrow(TempWriteError);
+      await expect(tempDir({ dir: blocker })).rejects.toBeInstanceOf(TempWriteError);
+    });
+
+    test('missing copy sources should throw SourceNotFoundError', async () => {
+      const missing = path.join(os.tmpdir(), 'definitely-missing-source.txt');
+
+      let error;
+      try {
+        tempCopySync(missing);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(SourceNotFoundError);
+      expect(error.code).toBe('ERR_SOURCE_NOT_FOUND');
+      expect(error.path).toBe(missing);
+
+      const rejection = await tempCopy(missing).catch(e => e);
+      expect(rejection).toBeInstanceOf(SourceNotFoundError);
+      expect(rejection.cause.code).toBe('ENOENT');
+    });
+
+    test('TempCollisionError should be a TempWriteError', () => {
+      expect(new TempCollisionError('/tmp/x', 1)).toBeInstanceOf(TempWriteError);
+    });
+
+    test('TempCleanupError should carry code, cause and path', () => {
+      const cause = new Error('EBUSY');
+      const error = new TempCleanupError('Failed to cleanup /tmp/x', { cause, path: '/tmp/x' });
+
+      expect(error.code).toBe('ERR_TEMP_CLEANUP');
+      expect(error.cause).toBe(cause);
+      expect(error.path).toBe('/tmp/x');
+    });
+  });
+
+  describe('configure', () => {
+    const defaults = { logger: console, onCreate: null, onCleanup: null, onCleanupError: null };
+
+    afterEach(() => {
+      configure(defaults);
+      jest.restoreAllMocks();
+    });
+
+    test('onCreate and onCleanup should be called for registered paths', () => {
+      const onCreate = jest.fn();
+      const onCleanup = jest.fn();
+      configure({ onCreate, onCleanup });
+
+      const filePath = tempWriteSync('content', '.txt');
+      cleanupSync(filePath);
+
+      expect(onCreate).toHaveBeenCalledWith(filePath);
+      expect(onCleanup).toHaveBeenCalledWith(filePath);
+    });
+
+    test('throwing hooks should be logged without breaking creation or cleanup', () => {
+      const logger = { warn: jest.fn(), error: jest.fn() };
+      const fail = () => {
+        throw new Error('hook broke');
+      };
+      configure({ logger, onCreate: fail, onCleanup: fail, onCleanupError: fail });
+      const context = createTempContext();
+
+      const first = context.write('first', '.txt');
+      const second = context.write('second', '.txt');
+      const report = context.cleanupAll();
+
+      expect(report.removed).toEqual([first, second]);
+      expect(fs.existsSync(first) || fs.existsSync(second)).toBe(false);
+      expect(context.list()).toEqual([]);
+
+      const busy = tempWriteSync('busy', '.txt');
+      createdFiles.push(busy);
+      jest.spyOn(fs, 'unlinkSync').mockImplementationOnce(() => {
+        throw Object.assign(new Error('EBUSY: resource busy'), { code: 'EBUSY' });
+      });
+      expect(cleanupSync(busy)).toBe(false);
+
+      expect(logger.error).toHaveBeenCalledWith('onCreate hook failed:', expect.any(Error));
+      expect(logger.error).toHaveBeenCalledWith('onCleanup hook failed:', expect.any(Error));
+      expect(logger.error).toHaveBeenCalledWith('onCleanupError hook failed:', expect.any(Error));
+    });
+
+    test('cleanup failures should go to onCleanupError instead of the logger', () => {
+      const onCleanupError = jest.fn();
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      configure({ onCleanupError });
+
+      const filePath = tempWriteSync('content', '.txt');
+      jest.spyOn(fs, 'unlinkSync').mockImplementationOnce(() => {
+        throw Object.assign(new Error('EBUSY: resource busy'), { code: 'EBUSY' });
+      });
+
+      expect(cleanupSync(filePath)).toBe(false);
+      expect(warn).not.toHaveBeenCalled();
+      expect(onCleanupError).toHaveBeenCalledTimes(1);
+
+      const error = onCleanupError.mock.calls[0][0];
+      expect(error).toBeInstanceOf(TempCleanupError);
+      expect(error.path).toBe(filePath);
+      expect(error.cause.code).toBe('EBUSY');
+    });
+
+    test('cleanup failures should be logged through the configured logger', () => {
+      const logger = { warn: jest.fn(), error: jest.fn() };
+      configure({ logger });
+
+      const filePath = tempWriteSync('content', '.txt');
+      jest.spyOn(fs, 'unlinkSync').mockImplementationOnce(() => {
+        throw new Error('EPERM');
+      });
+
+      cleanupSync(filePath);
+
+      expect(logger.warn).toHaveBeenCalledWith(`Failed to cleanup ${filePath}: EPERM`);
+    });
+
+    test('a null logger should silence cleanup warnings', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      configure({ logger: null });
+
+      const filePath = tempWriteSync('content', '.txt');
+      jest.spyOn(fs, 'unlinkSync').mockImplementationOnce(() => {
+        throw new Error('EPERM');
+      });
+
+      expect(cleanupSync(filePath)).toBe(false);
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    test('cleanupAllSync should report removed, missing and failed paths', () => {
+      configure({ onCleanupError: () => {} });
+
+      const removed = tempWriteSync('removed', '.txt');
+      const missing = tempWriteSync('missing', '.txt');
+      const failed = tempWriteSync('failed', '.txt');
+      fs.unlinkSync(missing);
+      createdFiles.push(failed);
+
+      const unlinkSync = fs.unlinkSync;
+      jest.spyOn(fs, 'unlinkSync').mockImplementation(filePath => {
+        if (filePath === failed) {
+          throw new Error('EBUSY');
+        }
+        return unlinkSync(filePath);
+      });
+
+      const report = cleanupAllSync();
+
+      expect(report.removed).toEqual([removed]);
+      expect(report.missing).toEqual([missing]);
+      expect(report.failed).toHaveLength(1);
+      expect(report.failed[0].path).toBe(failed);
+      expect(report.failed[0].error).toBeInstanceOf(TempCleanupError);
+    });
+
+    test('cleanupAll should report missing paths', async () => {
+      const removed = await tempWrite('removed', '.txt');
+      const missing = await tempWrite('missing', '.txt');
+      fs.unlinkSync(missing);
+
+      const report = await cleanupAll();
+
+      expect(report).toEqual({ removed: [removed], missing: [missing], failed: [] });
+    });
+  });
+
+  describe('process handlers', () => {
+    const allEvents = ['exit', 'SIGINT', 'SIGTERM', 'uncaughtException', 'unhandledRejection'];
+
+    function counts() {
+      return allEvents.map(event => process.listenerCount(event));
+    }
+
+    afterEach(() => {
+      configure({ handlers: allEvents });
+      jest.restoreAllMocks();
+    });
+
+    test('unregisterCleanup should remove every installed handler', () => {
+      tempWriteSync('content', '.txt');
+      const before = counts();
+
+      unregisterCleanup();
+
+      expect(counts()).toEqual(before.map(count => count - 1));
+
+      // The next registration installs them again
+      tempWriteSync('content', '.txt');
+      expect(counts()).toEqual(before);
+    });
+
+    test('configure should limit the installed handlers', () => {
+      tempWriteSync('content', '.txt');
+      const before = counts();
+
+      configure({ handlers: ['exit'] });
+
+      expect(counts()).toEqual([before[0], ...before.slice(1).map(count => count - 1)]);
+    });
+
+    test('configure should reject unknown handlers', () => {
+      expect(() => configure({ handlers: ['SIGHUP'] })).toThrow(TempValidationError);
+      expect(() => configure({ handlers: 'exit' })).toThrow('handlers must be an array');
+    });
+
+    test('signal handlers should clean up and re-raise the signal', () => {
+      configure({ handlers: ['SIGTERM'] });
+      const filePath = tempWriteSync('content', '.txt');
+      const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+      const listener = process.listeners('SIGTERM').slice(-1)[0];
+
+      listener('SIGTERM');
+
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(process.listeners('SIGTERM')).not.toContain(listener);
+      expect(kill).toHaveBeenCalledWith(process.pid, 'SIGTERM');
+    });
+
+    test('signal handlers should not re-raise when the app listens for the signal', () => {
+      const appListener = () => {};
+      process.on('SIGINT', appListener);
+
+      try {
+        tempWriteSync('content', '.txt');
+        const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+        const listener = process.listeners('SIGINT').find(l => l !== appListener);
+
+        listener('SIGINT');
+
+        expect(kill).not.toHaveBeenCalled();
+      } finally {
+        process.removeListener('SIGINT', appListener);
+      }
+    });
+  });
+
+  describe('createTempContext', () => {
+    test('should create files with the context defaults', () => {
+      const customDir = path.join(os.tmpdir(), 'context-test-dir');
+      const context = createTempContext({ dir: customDir, prefix: 'ctx-' });
+      createdFiles.push(customDir);
+
+      const filePath = context.write('content', '.txt');
+      const jsonPath = context.json({ a: 1 });
+      const csvPath = context.csv([['a']]);
+      const dirPath = context.dir();
+      const patternPath = context.pattern('content', 'p-{random}.txt');
+      const copyPath = context.copy(filePath);
+
+      for (const created of [filePath, jsonPath, csvPath, dirPath, patternPath, copyPath]) {
+        expect(path.dirname(created)).toBe(customDir);
+        expect(context.has(created)).toBe(true);
+      }
+      expect(path.basename(filePath).startsWith('ctx-')).toBe(true);
+      expect(path.basename(dirPath).startsWith('ctx-')).toBe(true);
+      expect(context.list()).toHaveLength(6);
+    });
+
+    test('cleanupAll should only remove the context files', () => {
+      const first = createTempContext();
+      const second = createTempContext();
+
+      const ownFile = first.write('own', '.txt');
+      const otherFile = second.write('other', '.txt');
+      const globalFile = tempWriteSync('global', '.txt');
+
+      const report = first.cleanupAll();
+
+      expect(report.removed).toEqual([ownFile]);
+      expect(fs.existsSync(ownFile)).toBe(false);
+      expect(fs.existsSync(otherFile)).toBe(true);
+      expect(fs.existsSync(globalFile)).toBe(true);
+      expect(first.list()).toEqual([]);
+      expect(second.list()).toEqual([otherFile]);
+    });
+
+    test('context paths should be reported and cleaned by the default context', () => {
+      const context = createTempContext();
+      const filePath = context.write('content', '.txt');
+
+      expect(isTempFile(filePath)).toBe(true);
+      expect(getTempFiles()).toContain(filePath);
+
+      cleanupAllSync();
+
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(context.list()).toEqual([]);
+    });
+
+    test('cleanup should remove a single context path', () => {
+      const context = createTempContext();
+      const filePath = context.write('content', '.txt');
+
+      expect(context.cleanup(filePath)).toBe(true);
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(context.has(filePath)).toBe(false);
+      expect(isTempFile(filePath)).toBe(false);
+    });
+
+    test('child contexts should inherit defaults and be cleaned with their parent', () => {
+      const parent = createTempContext({ prefix: 'parent-' });
+      const child = parent.child({ dir: os.tmpdir() });
+
+      const parentFile = parent.write('parent', '.txt');
+      const childFile = child.write('child', '.txt');
+
+      expect(path.basename(childFile).startsWith('parent-')).toBe(true);
+      expect(parent.has(childFile)).toBe(true);
+      expect(child.has(parentFile)).toBe(false);
+
+      const report = parent.cleanupAll();
+
+      expect(report.removed).toEqual(expect.arrayContaining([parentFile, childFile]));
+      expect(fs.existsSync(childFile)).toBe(false);
+      expect(child.list()).toEqual([]);
+    });
+
+    test('contexts emptied path by path should be detached from the root registry', () => {
+      // Every registry reachable from the root costs one entries lookup per isTempFile call
+      const registriesSearched = () => {
+        const has = jest.spyOn(Map.prototype, 'has');
+        try {
+          isTempFile('/not/a/temp/path');
+          return has.mock.calls.length;
+        } finally {
+          has.mockRestore();
+        }
+      };
+      const baseline = registriesSearched();
+
+      const byContext = createTempContext();
+      byContext.cleanup(byContext.write('a', '.txt'));
+
+      const byPath = createTempContext();
+      cleanupSync(byPath.write('b', '.txt'));
+
+      const byTag = createTempContext();
+      byTag.write('c', '.txt', { tag: 'detach-test' });
+      cleanupByTagSync('detach-test');
+
+      const byTtl = createTempContext();
+      byTtl.write('d', '.txt', { ttl: 0 });
+      sweepExpiredSync();
+
+      const nested = createTempContext().child();
+      nested.cleanup(nested.write('e', '.txt'));
+
+      expect(registriesSearched()).toBe(baseline);
+
+      const reused = byContext.write('f', '.txt');
+      expect(isTempFile(reused)).toBe(true);
+      byContext.cleanup(reused);
+    });
+
+    test('a context should stay usable after cleanupAll', () => {
+      const context = createTempContext();
+      context.write('first', '.txt');
+      context.cleanupAll();
+
+      const filePath = context.write('second', '.txt');
+
+      expect(isTempFile(filePath)).toBe(true);
+      cleanupAllSync();
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+  });
+
+  describe('stale file reaping', () => {
+    let workDir;
+    let manifestDir;
+
+    beforeEach(() => {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reap-test-'));
+      manifestDir = path.join(workDir, 'manifests');
+      createdFiles.push(workDir);
+    });
+
+    afterEach(() => {
+      configure({ manifest: false, manifestDir: null });
+    });
+
+    function deadPid() {
+      return spawnSync(process.execPath, ['-e', '']).pid;
+    }
+
+    function readRecords() {
+      return fs.readFileSync(path.join(manifestDir, `${process.pid}.ndjson`), 'utf8')
+        .trim()
+        .split('\n')
+        .map(line => JSON.parse(line));
+    }
+
+    test('manifest should record created and removed paths with the PID', () => {
+      configure({ manifest: true, manifestDir });
+
+      const filePath = tempWriteSync('content', '.txt', { dir: workDir });
+      cleanupSync(filePath);
+
+      expect(readRecords()).toEqual([
+        { pid: process.pid, op: 'add', path: filePath },
+        { pid: process.pid, op: 'remove', path: filePath }
+      ]);
+    });
+
+    test('cleanupAllSync should delete the manifest', () => {
+      configure({ manifest: true, manifestDir });
+
+      tempWriteSync('content', '.txt', { dir: workDir });
+      cleanupAllSync();
+
+      expect(fs.existsSync(path.join(manifestDir, `${process.pid}.ndjson`))).toBe(false);
+    });
+
+    test('removals should not recreate a deleted manifest', () => {
+      const filePath = tempWriteSync('content', '.txt', { dir: workDir });
+      configure({ manifest: true, manifestDir });
+
+      cleanupSync(filePath);
+
+      expect(fs.existsSync(path.join(manifestDir, `${process.pid}.ndjson`))).toBe(false);
+    });
+
+    test('reapStaleSync should remove paths of dead processes', () => {
+      const pid = deadPid();
+      const leaked = path.join(workDir, 'leaked.txt');
+      const released = path.join(workDir, 'released.txt');
+      fs.writeFileSync(leaked, 'x');
+      fs.writeFileSync(released, 'x');
+      fs.mkdirSync(manifestDir);
+      fs.writeFileSync(path.join(manifestDir, `${pid}.ndjson`), [
+        JSON.stringify({ pid, op: 'add', path: leaked }),
+        JSON.stringify({ pid, op: 'add', path: released }),
+        JSON.stringify({ pid, op: 'remove', path: released }),
+        '{"pid": 1, "op": "add", "pa'
+      ].join('\n'));
+
+      const report = reapStaleSync({ manifestDir });
+
+      expect(report.removed).toEqual([leaked]);
+      expect(fs.existsSync(leaked)).toBe(false);
+      expect(fs.existsSync(released)).toBe(true);
+      expect(fs.readdirSync(manifestDir)).toEqual([]);
+    });
+
+    test('reapStaleSync should leave manifests of live processes alone', () => {
+      const liveFile = path.join(workDir, 'live.txt');
+      fs.writeFileSync(liveFile, 'x');
+      fs.mkdirSync(manifestDir);
+      fs.writeFileSync(
+        path.join(manifestDir, `${process.ppid}.ndjson`),
+        JSON.stringify({ pid: process.ppid, op: 'add', path: liveFile })
+      );
+
+      const report = reapStaleSync({ manifestDir });
+
+      expect(report.removed).toEqual([]);
+      expect(fs.existsSync(liveFile)).toBe(true);
+    });
+
+    test('reapStaleSync should refuse a manifest directory owned by another user', () => {
+      if (typeof process.getuid !== 'function') {
+        return;
+      }
+
+      fs.mkdirSync(manifestDir);
+      const getuid = jest.spyOn(process, 'getuid').mockReturnValue(fs.statSync(manifestDir).uid + 1);
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        expect(() => reapStaleSync({ manifestDir })).toThrow('manifest directory owned by another user');
+
+        configure({ manifest: true, manifestDir });
+        createdFiles.push(tempWriteSync('content', '.txt', { dir: workDir }));
+        expect(fs.readdirSync(manifestDir)).toEqual([]);
+        expect(warn).toHaveBeenCalled();
+      } finally {
+        getuid.mockRestore();
+        warn.mockRestore();
+      }
+    });
+
+    const asRoot = typeof process.getuid === 'function' && process.getuid() === 0 ? test : test.skip;
+
+    asRoot('reapStaleSync should ignore manifests owned by another user', () => {
+      const pid = deadPid();
+      const planted = path.join(workDir, 'planted.txt');
+      const manifest = path.join(manifestDir, `${pid}.ndjson`);
+      fs.writeFileSync(planted, 'x');
+      fs.mkdirSync(manifestDir);
+      fs.writeFileSync(manifest, JSON.stringify({ pid, op: 'add', path: planted }));
+      fs.chownSync(manifest, 1234, 1234);
+
+      const report = reapStaleSync({ manifestDir });
+
+      expect(report.removed).toEqual([]);
+      expect(fs.existsSync(planted)).toBe(true);
+      expect(fs.existsSync(manifest)).toBe(true);
+    });
+
+    test('reapStaleSync should skip manifests when manifests is false', () => {
+      const pid = deadPid();
+      const recorded = path.join(workDir, 'recorded.txt');
+      fs.writeFileSync(recorded, 'x');
+      fs.mkdirSync(manifestDir);
+      fs.writeFileSync(
+        path.join(manifestDir, `${pid}.ndjson`),
+        JSON.stringify({ pid, op: 'add', path: recorded })
+      );
+
+      const report = reapStaleSync({ manifestDir, manifests: false });
+
+      expect(report.removed).toEqual([]);
+      expect(fs.existsSync(recorded)).toBe(true);
+      expect(fs.readdirSync(manifestDir)).toEqual([`${pid}.ndjson`]);
+    });
+
+    test('reapStaleSync should remove prefixed files past the age limit', () => {
+      const old = path.join(workDir, 'job-old.txt');
+      const fresh = path.join(workDir, 'job-fresh.txt');
+      const other = path.join(workDir, 'other-old.txt');
+      const tracked = tempWriteSync('tracked', '.txt', { dir: workDir, prefix: 'job-' });
+      const hourAgo = Date.now() / 1000 - 3600;
+
+      for (const filePath of [old, fresh, other]) {
+        fs.writeFileSync(filePath, 'x');
+      }
+      for (const filePath of [old, other, tracked]) {
+        fs.utimesSync(filePath, hourAgo, hourAgo);
+      }
+
+      const report = reapStaleSync({ dir: workDir, prefix: 'job-', olderThan: 60 * 1000, manifestDir });
+
+      expect(report.removed).toEqual([old]);
+      expect(fs.existsSync(fresh)).toBe(true);
+      expect(fs.existsSync(other)).toBe(true);
+      expect(fs.existsSync(tracked)).toBe(true);
+    });
+  });
+
+  describe('ttl expiry', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('getTempFiles should report expiry times', () => {
+      const now = Date.now();
+      const expiring = tempWriteSync('content', '.txt', { ttl: 60000 });
+      const permanent = tempWriteSync('content', '.txt');
+
+      const entries = getTempFiles({ withExpiry: true });
+      const byPath = Object.fromEntries(entries.map(entry => [entry.path, entry.expiresAt]));
+
+      expect(byPath[expiring]).toBeInstanceOf(Date);
+      expect(byPath[expiring].getTime()).toBeGreaterThanOrEqual(now + 60000);
+      expect(byPath[permanent]).toBeNull();
+      expect(getTempFiles()).toEqual(expect.arrayContaining([expiring, permanent]));
+    });
+
+    test('sweepExpiredSync should remove only expired entries', () => {
+      jest.useFakeTimers();
+      const expired = tempWriteSync('content', '.txt', { ttl: 1000 });
+      const dirPath = tempDirSync({ ttl: 1000 });
+      const pending = tempWriteSync('content', '.txt', { ttl: 60000 });
+
+      jest.setSystemTime(Date.now() + 2000);
+      const report = sweepExpiredSync();
+
+      expect(report.removed).toEqual(expect.arrayContaining([expired, dirPath]));
+      expect(report.removed).toHaveLength(2);
+      expect(fs.existsSync(expired)).toBe(false);
+      expect(fs.existsSync(dirPath)).toBe(false);
+      expect(fs.existsSync(pending)).toBe(true);
+      expect(isTempFile(pending)).toBe(true);
+    });
+
+    test('expired entries should be removed by a timer', () => {
+      jest.useFakeTimers();
+      const filePath = tempWriteSync('content', '.txt', { ttl: 1000 });
+
+      jest.advanceTimersByTime(999);
+      expect(fs.existsSync(filePath)).toBe(true);
+
+      jest.advanceTimersByTime(1);
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(isTempFile(filePath)).toBe(false);
+    });
+
+    test('expired entries should be swept lazily on the next create', () => {
+      jest.useFakeTimers();
+      const expired = tempWriteSync('content', '.txt', { ttl: 1000 });
+
+      // Move the clock past the expiry without running the timer
+      jest.setSystemTime(Date.now() + 5000);
+      const next = tempWriteSync('content', '.txt');
+
+      expect(fs.existsSync(expired)).toBe(false);
+      expect(fs.existsSync(next)).toBe(true);
+    });
+
+    test('contexts should accept a default ttl', () => {
+      const context = createTempContext({ ttl: 0 });
+      const filePath = context.write('content', '.txt');
+
+      sweepExpiredSync();
+
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(context.list()).toEqual([]);
+    });
+
+    test('should reject a ttl that is not a finite number >= 0', async () => {
+      const before = getTempFiles().length;
+
+      for (const ttl of ['100', NaN, Infinity, -1, null]) {
+        expect(() => tempWriteSync('content', '.txt', { ttl })).toThrow(TempValidationError);
+        expect(() => tempDirSync({ ttl })).toThrow('ttl must be a finite number of milliseconds >= 0');
+        await expect(tempWrite('content', '.txt', { ttl })).rejects.toThrow(TempValidationError);
+      }
+      expect(getTempFiles()).toHaveLength(before);
+    });
+  });
+
+  describe('registry introspection', () => {
+    test('getTempEntries should describe each entry', () => {
+      const before = Date.now();
+      const filePath = tempWriteSync('12345', '.txt', { prefix: 'meta-', tag: 'job-1' });
+      const jsonPath = tempWriteJsonSync({ a: 1 });
+      const dirPath = tempDirSync();
+      fs.writeFileSync(path.join(dirPath, 'inner.bin'), Buffer.alloc(10));
+
+      const entries = getTempEntries();
+      const byPath = Object.fromEntries(entries.map(entry => [entry.path, entry]));
+
+      expect(byPath[filePath]).toEqual({
+        path: filePath,
+        kind: 'file',
+        size: 5,
+        createdAt: expect.any(Date),
+        expiresAt: null,
+        creator: 'tempWriteSync',
+        options: { prefix: 'meta-', tag: 'job-1' },
+        tag: 'job-1'
+      });
+      expect(byPath[filePath].createdAt.getTime()).toBeGreaterThanOrEqual(before);
+      expect(byPath[jsonPath].creator).toBe('tempWriteJsonSync');
+      expect(byPath[jsonPath].tag).toBeNull();
+      expect(byPath[dirPath].kind).toBe('dir');
+      expect(byPath[dirPath].size).toBe(10);
+    });
+
+    test('getTempEntries should report async and delegated creators', async () => {
+      const copyPath = await tempCopy(tempWriteSync('source', '.txt'));
+      const streamPath = await tempWriteFromStream(Readable.from(['x']));
+
+      const byPath = Object.fromEntries(getTempEntries().map(entry => [entry.path, entry]));
+
+      expect(byPath[copyPath].creator).toBe('tempCopy');
+      expect(byPath[streamPath].creator).toBe('tempWriteFromStream');
+    });
+
+    test('getTempStats should count entries and bytes', () => {
+      tempWriteSync('abc', '.txt');
+      tempWriteSync('defgh', '.txt');
+      const removed = tempWriteSync('gone', '.txt');
+      fs.unlinkSync(removed);
+
+      expect(getTempStats()).toEqual({ count: 3, totalBytes: 8 });
+    });
+
+    test('cleanupByTagSync should remove only tagged entries', () => {
+      const first = tempWriteSync('a', '.txt', { tag: 'batch' });
+      const dirPath = tempDirSync({ tag: 'batch' });
+      const other = tempWriteSync('b', '.txt', { tag: 'other' });
+      const context = createTempContext({ tag: 'batch' });
+      const contextFile = context.write('c', '.txt');
+
+      const report = cleanupByTagSync('batch');
+
+      expect(report.removed).toEqual(expect.arrayContaining([first, dirPath, contextFile]));
+      expect(report.removed).toHaveLength(3);
+      expect(fs.existsSync(other)).toBe(true);
+      expect(isTempFile(other)).toBe(true);
+      expect(context.list()).toEqual([]);
+    });
+  });
+
+  describe('structured format writers', () => {
+    const read = (filePath) => {
+      createdFiles.push(filePath);
+      return fs.readFileSync(filePath, 'utf8');
+    };
+
+    test('tempWriteNdjsonSync should write one document per line from any iterable', () => {
+      function* records() {
+        yield { id: 1 };
+        yield 'two';
+      }
+      const filePath = tempWriteNdjsonSync(records());
+
+      expect(filePath.endsWith('.ndjson')).toBe(true);
+      expect(read(filePath)).toBe('{"id":1}\n"two"\n');
+      expect(() => tempWriteNdjsonSync('nope')).toThrow(TempValidationError);
+    });
+
+    test('tempWriteTsvSync should escape tabs and line breaks instead of quoting', () => {
+      const filePath = tempWriteTsvSync([{ name: 'a\tb', note: 'x\ny', path: 'c:\\d' }]);
+
+      expect(filePath.endsWith('.tsv')).toBe(true);
+      expect(read(filePath)).toBe('name\tnote\tpath\na\\tb\tx\\ny\tc:\\\\d');
+    });
+
+    test('tempWriteEnvSync should quote only values that need it', () => {
+      const filePath = tempWriteEnvSync({
+        PORT: 3000,
+        URL: 'http://localhost:3000/api',
+        GREETING: 'hi "there"\nfriend',
+        EMPTY: null
+      });
+
+      expect(filePath.endsWith('.env')).toBe(true);
+      expect(read(filePath)).toBe(
+        'PORT=3000\nURL=http://localhost:3000/api\nGREETING="hi \\"there\\"\\nfriend"\nEMPTY=\n'
+      );
+      expect(() => tempWriteEnvSync({ 'BAD-KEY': 1 })).toThrow(TempValidationError);
+    });
+
+    test('tempWriteYamlSync should write block YAML and quote ambiguous strings', () => {
+      const filePath = tempWriteYamlSync({
+        name: 'app',
+        version: '1.0',
+        enabled: 'yes',
+        ports: [80, 443],
+        servers: [{ host: 'a', port: 1 }],
+        empty: {},
+        tags: []
+      });
+
+      expect(filePath.endsWith('.yaml')).toBe(true);
+      expect(read(filePath)).toBe([
+        'name: app',
+        'version: "1.0"',
+        'enabled: "yes"',
+        'ports:',
+        '  - 80',
+        '  - 443',
+        'servers:',
+        '  - host: a',
+        '    port: 1',
+        'empty: {}',
+        'tags: []',
+        ''
+      ].join('\n'));
+    });
+
+    test('tempWriteYamlSync should quote strings YAML reads as numbers', () => {
+      const filePath = tempWriteYamlSync({
+        values: ['.5', '.inf', '.NaN', '...', '.hidden', './path', '.']
+      });
+
+      expect(read(filePath)).toBe([
+        'values:',
+        '  - ".5"',
+        '  - ".inf"',
+        '  - ".NaN"',
+        '  - "..."',
+        '  - .hidden',
+        '  - ./path',
+        '  - .',
+        ''
+      ].join('\n'));
+    });
+
+    test('tempWriteYamlSync should reject circular structures', () => {
+      const value = { a: 1 };
+      value.self = value;
+
+      expect(() => tempWriteYamlSync(value)).toThrow(TempValidationError);
+    });
+
+    test('tempWriteIniSync should write sections for nested objects', () => {
+      const filePath = tempWriteIniSync({
+        debug: true,
+        hosts: ['a', 'b'],
+        server: { port: 8080, tls: { cert: '/etc/cert.pem' } },
+        note: ' padded; value'
+      });
+
+      expect(filePath.endsWith('.ini')).toBe(true);
+      expect(read(filePath)).toBe([
+        'debug=true',
+        'hosts[]=a',
+        'hosts[]=b',
+        'note=" padded; value"',
+        '',
+        '[server]',
+        'port=8080',
+        '',
+        '[server.tls]',
+        'cert=/etc/cert.pem',
+        ''
+      ].join('\n'));
+    });
+
+    test('tempWriteIniSync should reject keys and arrays it cannot write safely', () => {
+      const before = getTempFiles().length;
+
+      for (const key of ['k=v', 'a\nb', 'x]y', '[s]', ' padded', '; comment', '']) {
+        expect(() => tempWriteIniSync({ [key]: 1 })).toThrow(TempValidationError);
+      }
+      expect(() => tempWriteIniSync({ s: { 'a]b': { c: 1 } } })).toThrow('Invalid INI section name');
+      expect(() => tempWriteIniSync({ 'a.b': { c: 1 } })).toThrow('Invalid INI section name');
+      expect(() => tempWriteIniSync({ a: [{ b: 1 }] })).toThrow('INI arrays can only hold plain values: a');
+      expect(() => tempWriteIniSync({ a: [[1]] })).toThrow(TempValidationError);
+      expect(getTempFiles()).toHaveLength(before);
+
+      const filePath = tempWriteIniSync({ 'server.port': 80, 'my key': 'v', list: [new Date(0), null] });
+      expect(read(filePath)).toBe(
+        'server.port=80\nmy key=v\nlist[]=1970-01-01T00:00:00.000Z\nlist[]=\n'
+      );
+    });
+  });
+
+  describe('tempTreeSync', () => {
+    test('should create files, directories and links from a spec', () => {
+      const { root, files } = tempTreeSync({
+        'package.json': { name: 'fixture' },
+        'src/index.js': 'module.exports = 1;',
+        'bin/run': { content: '#!/bin/sh', mode: 0o755 },
+        'link': { symlink: 'src' },
+        'logs/': null,
+        'lib/': { 'util/': { 'a.txt': Buffer.from('a') } },
+        'data.json': { content: { content: 1 } }
+      });
+      createdFiles.push(root);
+
+      expect(Object.keys(files).sort()).toEqual(
+        ['bin/run', 'data.json', 'lib/util/a.txt', 'link', 'package.json', 'src/index.js']
+      );
+      expect(files['src/index.js']).toBe(path.join(root, 'src', 'index.js'));
+      expect(JSON.parse(fs.readFileSync(files['package.json'], 'utf8'))).toEqual({ name: 'fixture' });
+      expect(JSON.parse(fs.readFileSync(files['data.json'], 'utf8'))).toEqual({ content: 1 });
+      expect(fs.readFileSync(files['lib/util/a.txt'], 'utf8')).toBe('a');
+      expect(fs.readlinkSync(files.link)).toBe('src');
+      expect(fs.statSync(path.join(root, 'logs')).isDirectory()).toBe(true);
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(files['bin/run']).mode & 0o777).toBe(0o755);
+      }
+    });
+
+    test('should register only the root', () => {
+      const { root, files } = tempTreeSync({ 'a/b.txt': 'b' });
+
+      expect(isTempFile(root)).toBe(true);
+      expect(isTempFile(files['a/b.txt'])).toBe(false);
+
+      cleanupSync(root);
+      expect(fs.existsSync(root)).toBe(false);
+    });
+
+    test('should reject paths that escape the root', () => {
+      const before = getTempFiles().length;
+
+      expect(() => tempTreeSync({ '../escape.txt': 'x' })).toThrow(TempValidationError);
+      expect(() => tempTreeSync({ '/abs.txt': 'x' })).toThrow(TempValidationError);
+      expect(() => tempTreeSync({ 'a//b': 'x' })).toThrow(TempValidationError);
+      expect(() => tempTreeSync('nope')).toThrow(TempValidationError);
+      expect(getTempFiles()).toHaveLength(before);
+    });
+
+    test('should remove the partial tree when a write fails', () => {
+      const before = getTempFiles().length;
+      let error;
+
+      try {
+        tempTreeSync({ 'a': 'file', 'a/b': 'under a file' });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(TempWriteError);
+      expect(fs.existsSync(error.path)).toBe(false);
+      expect(getTempFiles()).toHaveLength(before);
+    });
+  });
+
+  describe('readTreeSync and diffTreeSync', () => {
+    const spec = {
+      'package.json': { name: 'fixture' },
+      'src/index.js': 'one\ntwo\nthree',
+      'link': { symlink: 'src' },
+      'logs/': null
+    };
+
+    const createTree = () => {
+      const { root } = tempTreeSync(spec);
+      createdFiles.push(root);
+      return root;
+    };
+
+    test('readTreeSync and diffTreeSync should skip FIFOs and sockets', async () => {
+      if (process.platform === 'win32') {
+        return;
+      }
+
+      const { root } = tempTreeSync({ 'a.txt': 'a' });
+      createdFiles.push(root);
+      expect(spawnSync('mkfifo', [path.join(root, 'pipe')]).status).toBe(0);
+      const server = net.createServer();
+      await new Promise(resolve => server.listen(path.join(root, 'socket'), resolve));
+
+      try {
+        expect(readTreeSync(root)).toEqual({ 'a.txt': 'a' });
+        expect(diffTreeSync(root, { 'a.txt': 'a' }).equal).toBe(true);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('readTreeSync should return the inverse of tempTreeSync', () => {
+      const root = createTree();
+
+      expect(readTreeSync(root)).toEqual({
+        'link': { symlink: 'src' },
+        'logs/': {},
+        'package.json': '{\n  "name": "fixture"\n}',
+        'src/': { 'index.js': 'one\ntwo\nthree' }
+      });
+
+      const { root: copy } = tempTreeSync(readTreeSync(root));
+      createdFiles.push(copy);
+      expect(readTreeSync(copy)).toEqual(readTreeSync(root));
+    });
+
+    test('readTreeSync should honor encoding and ignore', () => {
+      const root = createTree();
+
+      const tree = readTreeSync(root, { encoding: null, ignore: ['logs', /\.json$/, 'link'] });
+      expect(Object.keys(tree)).toEqual(['src/']);
+      expect(Buffer.isBuffer(tree['src/']['index.js'])).toBe(true);
+
+      const filtered = readTreeSync(root, { ignore: (relativePath) => relativePath.startsWith('src') });
+      expect(filtered['src/']).toBeUndefined();
+    });
+
+    test('readTreeSync should reject missing directories and files', () => {
+      const filePath = tempWriteSync('x', '.txt');
+      createdFiles.push(filePath);
+
+      expect(() => readTreeSync(path.join(os.tmpdir(), 'missing-temp-tree'))).toThrow(SourceNotFoundError);
+      expect(() => readTreeSync(filePath)).toThrow(TempValidationError);
+    });
+
+    test('diffTreeSync should report no differences for a matching tree', () => {
+      const root = createTree();
+
+      expect(diffTreeSync(root, spec)).toEqual({
+        added: [],
+        removed: [],
+        changed: [],
+        equal: true,
+        summary: ''
+      });
+    });
+
+    test('diffTreeSync should report added, removed and changed paths', () => {
+      const root = createTree();
+      fs.writeFileSync(path.join(root, 'src', 'index.js'), 'one\n2\nthree');
+      fs.writeFileSync(path.join(root, 'extra.txt'), '');
+      fs.rmdirSync(path.join(root, 'logs'));
+      fs.unlinkSync(path.join(root, 'link'));
+      fs.symlinkSync('elsewhere', path.join(root, 'link'));
+
+      const diff = diffTreeSync(root, spec);
+
+      expect(diff.equal).toBe(false);
+      expect(diff.added).toEqual(['extra.txt']);
+      expect(diff.removed).toEqual(['logs/']);
+      expect(diff.changed).toEqual(['src/index.js', 'link']);
+      expect(diff.summary.split('\n')).toEqual([
+        '~ src/index.js (line 2: "2", expected "two")',
+        '~ link (link target "elsewhere", expected "src")',
+        '- logs/',
+        '+ extra.txt'
+      ]);
+    });
+
+    test('diffTreeSync should report bytes that decode to the same text as binary', () => {
+      const { root } = tempTreeSync({ 'a.bin': Buffer.from([0xff]) });
+      createdFiles.push(root);
+
+      const diff = diffTreeSync(root, { 'a.bin': Buffer.from([0xfe]) });
+
+      expect(diff.changed).toEqual(['a.bin']);
+      expect(diff.summary).toBe('~ a.bin (binary content differs, 1 bytes, expected 1)');
+    });
+
+    test('diffTreeSync should skip ignored entries', () => {
+      const root = createTree();
+      fs.writeFileSync(path.join(root, 'debug.log'), 'noise');
+
+      expect(diffTreeSync(root, spec, { ignore: /\.log$/ }).equal).toBe(true);
+    });
+  });
+
+  describe('name generators and normalizePaths', () => {
+    let workDir;
+
+    beforeEach(() => {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'name-gen-test-'));
+    });
+
+    afterEach(() => {
+      configure({ nameGenerator: null });
+      fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('createSeededNameGenerator should repeat the sequence for the same seed', () => {
+      const first = createSeededNameGenerator('seed');
+      const second = createSeededNameGenerator('seed');
+      const other = createSeededNameGenerator('other');
+
+      const sequence = [first(), first(), first()];
+      expect([second(), second(), second()]).toEqual(sequence);
+      expect(other()).not.toBe(sequence[0]);
+      expect(new Set(sequence).size).toBe(3);
+      expect(() => createSeededNameGenerator({})).toThrow(TempValidationError);
+    });
+
+    test('should use a per-call generator with the prefix and extension', () => {
+      const calls = [];
+      const filePath = tempWriteSync('x', '.txt', {
+        dir: workDir,
+        prefix: 'p-',
+        nameGenerator: (info) => {
+          calls.push(info);
+          return 'fixed';
+        }
+      });
+
+      expect(filePath).toBe(path.join(workDir, 'p-fixed.txt'));
+      expect(calls).toEqual([{ prefix: 'p-', extension: '.txt' }]);
+    });
+
+    test('should use the configured generator and retry taken names', () => {
+      configure({ nameGenerator: createSeededNameGenerator(7) });
+      const first = tempWriteSync('a', '.txt', { dir: workDir });
+      const dirPath = tempDirSync({ dir: workDir });
+
+      configure({ nameGenerator: createSeededNameGenerator(7) });
+      const again = tempWriteSync('b', '.txt', { dir: workDir });
+
+      const expected = createSeededNameGenerator(7);
+      const ids = [expected(), expected()];
+      expect(path.basename(first)).toBe(`temp-${ids[0]}.txt`);
+      expect(path.basename(dirPath)).toBe(`temp-dir-${ids[1]}`);
+      // The first id is taken by the first file, so the next one is used
+      expect(path.basename(again)).toBe(`temp-${ids[1]}.txt`);
+    });
+
+    test('should reject generated names that leave the directory', () => {
+      expect(() => tempWriteSync('x', '.txt', { dir: workDir, nameGenerator: () => '../x' }))
+        .toThrow(TempValidationError);
+      expect(() => configure({ nameGenerator: 'nope' })).toThrow(TempValidationError);
+    });
+
+    test('normalizePaths should replace registered paths with numbered placeholders', () => {
+      cleanupAllSync();
+      const filePath = tempWriteSync('x', '.txt', { dir: workDir });
+      const { root } = tempTreeSync({ 'src/index.js': '' }, { dir: workDir });
+
+      const text = `read ${filePath}, wrote ${path.join(root, 'src', 'index.js')} and ${filePath}`;
+
+      expect(normalizePaths(text)).toBe(
+        `read <temp-1>, wrote ${path.join('<temp-2>', 'src', 'index.js')} and <temp-1>`
+      );
+      expect(normalizePaths('nothing to replace')).toBe('nothing to replace');
+      expect(() => normalizePaths(null)).toThrow(TempValidationError);
+    });
+  });
+
+  describe('private root and directory checks', () => {
+    let workDir;
+
+    beforeEach(() => {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dir-check-test-'));
+    });
+
+    afterEach(() => {
+      configure({ privateRoot: false, checkDirs: true });
+      fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    const posixOnly = process.platform === 'win32' ? test.skip : test;
+
+    posixOnly('tempDirSync should default to 0o700 and honor mode', () => {
+      const privateDir = tempDirSync({ dir: workDir });
+      const sharedDir = tempDirSync({ dir: workDir, mode: 0o750 });
+
+      expect(fs.statSync(privateDir).mode & 0o777).toBe(0o700);
+      expect(fs.statSync(sharedDir).mode & 0o777).toBe(0o750 & ~process.umask());
+    });
+
+    posixOnly('privateRoot should put paths without dir in one 0o700 directory', () => {
+      configure({ privateRoot: true });
+
+      const filePath = tempWriteSync('x', '.txt');
+      const dirPath = tempDirSync();
+      const explicit = tempWriteSync('y', '.txt', { dir: workDir });
+      createdFiles.push(filePath, dirPath, explicit);
+
+      const root = path.dirname(filePath);
+      expect(path.dirname(root)).toBe(os.tmpdir());
+      expect(path.basename(root)).toMatch(new RegExp(`^\\.temp-write-sync-${process.pid}-`));
+      expect(path.basename(root).startsWith('temp-')).toBe(false);
+      expect(fs.statSync(root).mode & 0o777).toBe(0o700);
+      expect(path.dirname(dirPath)).toBe(root);
+      expect(path.dirname(explicit)).toBe(workDir);
+
+      // Removed here because jest workers do not run the exit handler
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    posixOnly('should refuse world-writable directories without the sticky bit', async () => {
+      const shared = path.join(workDir, 'shared');
+      fs.mkdirSync(shared);
+      fs.chmodSync(shared, 0o777);
+
+      expect(() => tempWriteSync('x', '.txt', { dir: shared })).toThrow(TempValidationError);
+      expect(() => tempDirSync({ dir: shared })).toThrow('world-writable directory without the sticky bit');
+      expect(() => tempWritePatternSync('x', '{random}', { dir: shared })).toThrow(TempValidationError);
+      await expect(tempWrite('x', '.txt', { dir: shared })).rejects.toThrow(TempValidationError);
+      expect(fs.readdirSync(shared)).toEqual([]);
+
+      fs.chmodSync(shared, 0o1777);
+      createdFiles.push(tempWriteSync('x', '.txt', { dir: shared }));
+
+      fs.chmodSync(shared, 0o777);
+      configure({ checkDirs: false });
+      createdFiles.push(tempWriteSync('x', '.txt', { dir: shared }));
+    });
+
+    const asRoot = typeof process.getuid === 'function' && process.getuid() === 0 ? test : test.skip;
+
+    asRoot('should refuse directories owned by another user', () => {
+      const foreign = path.join(workDir, 'foreign');
+      fs.mkdirSync(foreign);
+      fs.chownSync(foreign, 1234, 1234);
+
+      let error;
+      try {
+        tempWriteSync('x', '.txt', { dir: foreign });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(TempValidationError);
+      expect(error.path).toBe(foreign);
+      expect(error.message).toContain('owned by another user');
+    });
+  });
+
+  describe('secure cleanup', () => {
+    // An open descriptor still reads the file's blocks after it is unlinked
+    const readAfterCleanup = (filePath, remove) => {
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        const size = fs.fstatSync(fd).size;
+        expect(remove()).toBeTruthy();
+        const buffer = Buffer.alloc(size);
+        fs.readSync(fd, buffer, 0, size, 0);
+        return buffer;
+      } finally {
+        fs.closeSync(fd);
+      }
+    };
+
+    test('cleanupSync should overwrite files created with secure', () => {
+      const filePath = tempWriteSync('top secret', '.txt', { secure: { fill: 'zeros' } });
+
+      const leftover = readAfterCleanup(filePath, () => cleanupSync(filePath));
+
+      expect(leftover).toEqual(Buffer.alloc(10));
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(isTempFile(filePath)).toBe(false);
+    });
+
+    test('random fill should not leave the original content', () => {
+      const content = 'x'.repeat(200 * 1024);
+      const filePath = tempWriteSync(content, '.txt', { secure: { passes: 2 } });
+
+      const leftover = readAfterCleanup(filePath, () => cleanupSync(filePath));
+
+      expect(leftover).toHaveLength(content.length);
+      expect(leftover.toString()).not.toContain('xxxxxxxx');
+    });
+
+    test('cleanupAllSync should honor the registry flag for directories', () => {
+      const { root, files } = tempTreeSync({
+        'a/creds.json': { token: 'abc' },
+        'readonly.txt': { content: 'ro', mode: 0o400 },
+        'link': { symlink: 'a/creds.json' }
+      }, { secure: { fill: 'zeros' } });
+      const plain = tempWriteSync('plain', '.txt');
+
+      const leftover = readAfterCleanup(files['a/creds.json'], () => cleanupAllSync());
+
+      expect(leftover.every(byte => byte === 0)).toBe(true);
+      expect(fs.existsSync(root)).toBe(false);
+      expect(fs.existsSync(plain)).toBe(false);
+    });
+
+    test('cleanupSync options should override the creation setting', () => {
+      const plain = tempWriteSync('plain', '.txt');
+      const secure = tempWriteSync('secure', '.txt', { secure: true });
+
+      expect(readAfterCleanup(plain, () => cleanupSync(plain, { secure: { fill: 'zeros' } })))
+        .toEqual(Buffer.alloc(5));
+      expect(readAfterCleanup(secure, () => cleanupSync(secure, { secure: false })).toString())
+        .toBe('secure');
+    });
+
+    test('async cleanup should shred as well', async () => {
+      const filePath = await tempWrite('async secret', '.txt', { secure: { fill: 'zeros' } });
+      const fd = fs.openSync(filePath, 'r');
+
+      try {
+        expect(await cleanup(filePath)).toBe(true);
+        const buffer = Buffer.alloc(12);
+        fs.readSync(fd, buffer, 0, 12, 0);
+        expect(buffer).toEqual(Buffer.alloc(12));
+      } finally {
+        fs.closeSync(fd);
+      }
+    });
+
+    test('should reject invalid secure options without leaving files', async () => {
+      const before = getTempFiles().length;
+      const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'secure-test-')), 'unused');
+      createdFiles.push(path.dirname(dir));
+      const options = { dir, secure: { passes: 0 } };
+
+      expect(() => tempWriteSync('x', '.txt', options)).toThrow(TempValidationError);
+      expect(() => tempDirSync({ dir, secure: { fill: 'ones' } })).toThrow(TempValidationError);
+      expect(() => tempWritePatternSync('x', '{random}', options)).toThrow(TempValidationError);
+      expect(() => tempWriteStream('.txt', options)).toThrow(TempValidationError);
+      await expect(tempWrite('x', '.txt', options)).rejects.toThrow(TempValidationError);
+      await expect(tempDir(options)).rejects.toThrow(TempValidationError);
+      await expect(tempWritePattern('x', '{random}', options)).rejects.toThrow(TempValidationError);
+      expect(() => cleanupSync('/tmp/whatever', { secure: 'yes' })).toThrow(TempValidationError);
+      expect(fs.existsSync(dir)).toBe(false);
+      expect(getTempFiles()).toHaveLength(before);
+    });
+  });
+
+  describe('tempWriteEncryptedSync', () => {
+    test('should round-trip without writing plaintext', () => {
+      const filePath = tempWriteEncryptedSync('account 4111-1111', '.enc');
+      createdFiles.push(filePath);
+
+      expect(filePath.endsWith('.enc')).toBe(true);
+      expect(fs.readFileSync(filePath).includes('4111')).toBe(false);
+      expect(fs.statSync(filePath).size).toBe(12 + 16 + 'account 4111-1111'.length);
+      expect(readTempEncryptedSync(filePath)).toEqual(Buffer.from('account 4111-1111'));
+      expect(readTempEncryptedSync(filePath, { encoding: 'utf8' })).toBe('account 4111-1111');
+    });
+
+    test('should use a different key and IV for each file', () => {
+      const first = tempWriteEncryptedSync('same');
+      const second = tempWriteEncryptedSync('same');
+      createdFiles.push(first, second);
+
+      expect(fs.readFileSync(first)).not.toEqual(fs.readFileSync(second));
+    });
+
+    test('should detect modified files', () => {
+      const filePath = tempWriteEncryptedSync('payload');
+      createdFiles.push(filePath);
+
+      const payload = fs.readFileSync(filePath);
+      payload[payload.length - 1] ^= 0xff;
+      fs.writeFileSync(filePath, payload);
+
+      let error;
+      try {
+        readTempEncryptedSync(filePath);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toBeInstanceOf(TempValidationError);
+      expect(error.path).toBe(filePath);
+      expect(error.cause).toBeDefined();
+    });
+
+    test('should forget the key when the file is cleaned up', () => {
+      const removed = tempWriteEncryptedSync('gone');
+      const excluded = tempWriteEncryptedSync('kept on disk');
+      createdFiles.push(excluded);
+
+      cleanupSync(removed);
+      excludeFromCleanup(excluded);
+
+      expect(() => readTempEncryptedSync(removed)).toThrow('No encryption key');
+      expect(() => readTempEncryptedSync(excluded)).toThrow(TempValidationError);
+      expect(getTempEntries().some(entry => 'key' in entry)).toBe(false);
+    });
+
+    test('should reject untracked files and invalid input', () => {
+      const plain = tempWriteSync('plain');
+      createdFiles.push(plain);
+
+      expect(() => readTempEncryptedSync(plain)).toThrow(TempValidationError);
+      expect(() => tempWriteEncryptedSync('x', '', { cleanup: false })).toThrow(TempValidationError);
+      expect(() => tempWriteEncryptedSync(null)).toThrow(TempValidationError);
+      for (const content of [5, { a: 1 }, ['x']]) {
+        expect(() => tempWriteEncryptedSync(content)).toThrow('Encrypted content must be a string or Buffer');
+      }
+    });
+  });
+});